@@ -2,11 +2,31 @@
  * Required imports
  */
 import React, {useState, useRef, useEffect, useContext, createContext} from 'react';
-import {useLocation, useNavigate} from 'react-router-dom';
+import {useHref, useLocation, useMatch, useNavigate} from 'react-router-dom';
 import '@aws-amplify/ui-react/styles.css';
 import './App.css';
 import {Amplify, Auth, Storage} from 'aws-amplify';
 import {Authenticator} from '@aws-amplify/ui-react';
+import {
+    S3Client,
+    CreateMultipartUploadCommand,
+    UploadPartCommand,
+    CompleteMultipartUploadCommand,
+    AbortMultipartUploadCommand,
+    PutObjectCommand,
+    ListPartsCommand,
+    ListObjectsV2Command,
+    CopyObjectCommand,
+    UploadPartCopyCommand,
+    HeadObjectCommand,
+    GetObjectTaggingCommand
+} from '@aws-sdk/client-s3';
+import {getSignedUrl} from '@aws-sdk/s3-request-presigner';
+import {createSHA256} from 'hash-wasm';
+import {downloadZip} from 'client-zip';
+import {marked} from 'marked';
+import DOMPurify from 'dompurify';
+import QRCode from 'qrcode';
 import awsconfig from './aws-exports';
 
 /**
@@ -32,7 +52,23 @@ import {
     Modal,
     ColumnLayout,
     StatusIndicator,
-    Spinner
+    Spinner,
+    Select,
+    PropertyFilter,
+    Toggle,
+    Pagination,
+    CollectionPreferences,
+    Input,
+    RadioGroup,
+    SplitPanel,
+    KeyValuePairs,
+    CopyToClipboard,
+    AttributeEditor,
+    ExpandableSection,
+    ButtonDropdown,
+    SegmentedControl,
+    Form,
+    TextFilter
 } from "@cloudscape-design/components";
 
 // Configure Amplify
@@ -44,15 +80,23 @@ Amplify.configure(awsconfig);
 const UPLOAD_CONFIG = {
     CHUNK_SIZE: 512 * 1024 * 1024,  // 512MB chunks
     MAX_RETRIES: 5,               // Maximum retry attempts per chunk
-    CONCURRENT_UPLOADS: 4,        // Number of concurrent chunk uploads
+    CONCURRENT_UPLOADS: 4,        // Number of concurrent chunk uploads per file
+    CONCURRENT_FILES: 3,          // Files the upload queue runs at the same time
+    MAX_PARTS_IN_FLIGHT: 8,       // Part requests in flight across all files
     MAX_FILE_SIZE: 5 * 1024 * 1024 * 1024 * 1024, // 5TB
+    MAX_PARTS: 10000,             // S3 limit on parts per multipart upload
+    MAX_COPY_OBJECT_SIZE: 5 * 1024 * 1024 * 1024, // S3 limit for a single CopyObject; larger objects copy in parts
+    PART_URL_EXPIRY_SECONDS: 3600, // Lifetime of presigned UploadPart URLs
+    SINGLE_PUT_MAX_SIZE: 16 * 1024 * 1024, // Files up to this size go up in one PutObject
+    HASH_READ_SIZE: 8 * 1024 * 1024, // Bytes read at a time while hashing a file
     CLEANUP: {
         STALE_THRESHOLD_HOURS: 24,
         CHECK_INTERVAL_MINUTES: 30,
         MAX_STORAGE_SIZE_MB: 10,
         BATCH_SIZE: 50
     },
-    PROGRESS_UPDATE_INTERVAL: 1000 // Progress update interval in ms
+    PROGRESS_UPDATE_INTERVAL: 1000, // Progress update interval in ms
+    LIST_PAGE_SIZE: 1000          // Objects fetched per bucket listing page
 };
 
 const appLayoutLabels = {
@@ -95,924 +139,4799 @@ function formatTime(seconds) {
 }
 
 /**
- * Custom Event for Upload Progress
+ * Drag and Drop Helpers
  */
-class UploadProgressEvent extends CustomEvent {
-    constructor(uploadId, progress) {
-        super('upload-progress', {
-            detail: {
-                type: 'upload-progress',
-                uploadId,
-                progress
-            }
-        });
-    }
+function readDirectoryEntries(reader) {
+    return new Promise((resolve, reject) => reader.readEntries(resolve, reject));
 }
 
-/**
- * Error Boundary Component
- */
-class ErrorBoundary extends React.Component {
-    constructor(props) {
-        super(props);
-        this.state = { hasError: false, error: null };
-    }
+function getEntryFile(entry) {
+    return new Promise((resolve, reject) => entry.file(resolve, reject));
+}
 
-    static getDerivedStateFromError(error) {
-        return { hasError: true, error };
+// Walks a dropped entry, returning files with paths in the same form as webkitRelativePath
+async function collectEntryFiles(entry) {
+    if (entry.isFile) {
+        const file = await getEntryFile(entry);
+        return [{ file, path: entry.fullPath.replace(/^\/+/, '') }];
     }
 
-    componentDidCatch(error, errorInfo) {
-        console.error('Content error:', error, errorInfo);
+    const reader = entry.createReader();
+    const files = [];
+    // readEntries returns directory contents in batches until it yields an empty one
+    let batch = await readDirectoryEntries(reader);
+    while (batch.length > 0) {
+        for (const child of batch) {
+            files.push(...await collectEntryFiles(child));
+        }
+        batch = await readDirectoryEntries(reader);
     }
+    return files;
+}
 
-    render() {
-        if (this.state.hasError) {
-            return (
-                <Container>
-                    <Alert type="error" header="Error">
-                        An error occurred. Please refresh the page or try again.
-                        {this.state.error && (
-                            <div>Error: {this.state.error.message}</div>
-                        )}
-                        <Button
-                            onClick={() => {
-                                this.setState({ hasError: false });
-                                window.location.reload();
-                            }}
-                        >
-                            Refresh Page
-                        </Button>
-                    </Alert>
-                </Container>
-            );
-        }
+async function getDroppedFiles(dataTransfer) {
+    // Entries must be taken synchronously; the DataTransfer is emptied once the drop event returns
+    const entries = Array.from(dataTransfer.items || [])
+        .filter(item => item.kind === 'file')
+        .map(item => item.webkitGetAsEntry?.())
+        .filter(Boolean);
 
-        return this.props.children;
+    if (entries.length === 0) {
+        return Array.from(dataTransfer.files).map(file => ({ file, path: file.name }));
+    }
+
+    const files = [];
+    for (const entry of entries) {
+        files.push(...await collectEntryFiles(entry));
     }
+    return files;
+}
+
+function isFileDrag(event) {
+    return Array.from(event.dataTransfer?.types || []).includes('Files');
 }
+
 /**
- * Upload State Manager Class
+ * Bucket Listing Helpers
  */
-class UploadStateManager {
-    constructor() {
-        this.lastCleanupTime = null;
-        this.isCleanupRunning = false;
-        this.storagePrefix = 'upload-';
-        this.progressListeners = new Map();
-        this.activeUploads = new Map();
-    }
+// Turns a recursive Storage.list result into the folders and files directly under path
+function processListing(items, path) {
+    const processedItems = new Map();
+    addListingItems(processedItems, items, path);
+
+    return Array.from(processedItems.values())
+        .filter(item => !item.displayName.includes('.keep')) // Extra safety filter
+        .sort((a, b) => {
+            if (a.isFolder && !b.isFolder) return -1;
+            if (!a.isFolder && b.isFolder) return 1;
+            return a.displayName.localeCompare(b.displayName);
+        });
+}
 
-    init() {
-        this.scheduleCleanup();
-        window.addEventListener('storage', (e) => {
-            if (e.key === 'lastCleanupTime') {
-                this.lastCleanupTime = parseInt(e.newValue);
+// Adds one page of a listing to processedItems (display name → folder or file), so pages
+// can be merged as they arrive without going over the earlier ones again
+function addListingItems(processedItems, items, path) {
+    // First pass: Identify all folders
+    items.forEach(item => {
+        if (!item.key) return;
+    
+        // Skip the current directory marker
+        if (item.key === path ||
+            item.key.includes('.keep') ||
+            item.key.endsWith('/.keep')) return;
+
+        const relativePath = path ? item.key.replace(`${path}/`, '') : item.key;
+        const parts = relativePath.split('/');
+
+        // Handle folder markers
+        if (item.key.endsWith('/') || 
+            item.contentType === 'application/x-directory' || 
+            item.size === 0) {
+            const folderName = parts[0];
+            // Skip if folder name contains .keep
+            if (folderName && 
+                !folderName.includes('.keep') && 
+                !processedItems.has(folderName)) {
+                    processedItems.set(folderName, {
+                        key: path ? `${path}/${folderName}` : folderName,
+                        displayName: folderName,
+                        size: 0,
+                        isFolder: true,
+                        lastModified: item.lastModified
+                    });
+                }
             }
         });
-        document.addEventListener('visibilitychange', () => {
-            if (document.visibilityState === 'visible') {
-                this.checkAndCleanup();
+
+    // Second pass: Add files and identify implicit folders
+    items.forEach(item => {
+        if (!item.key) return;
+        
+        // Skip folder markers and .keep files
+        if (item.key === path || 
+            item.key.endsWith('/') || 
+            item.key.endsWith('/.keep') || 
+            item.contentType === 'application/x-directory') return;
+
+        const relativePath = path ? item.key.replace(`${path}/`, '') : item.key;
+        const parts = relativePath.split('/');
+
+        if (parts.length === 1) {
+            // File in current directory
+            processedItems.set(parts[0], {
+                key: item.key,
+                displayName: parts[0],
+                size: item.size,
+                isFolder: false,
+                lastModified: item.lastModified,
+                eTag: item.eTag
+            });
+        } else if (parts.length > 1) {
+            // Implicit folder
+            const folderName = parts[0];
+            if (!folderName.includes('.keep') && !processedItems.has(folderName)) {
+                processedItems.set(folderName, {
+                    key: path ? `${path}/${folderName}` : folderName,
+                    displayName: folderName,
+                    size: 0,
+                    isFolder: true,
+                    lastModified: item.lastModified
+                });
             }
-        });
-        this.checkAndCleanup();
-    }
+        }
+    });
+}
 
-    cleanup() {
-        this.progressListeners.clear();
-        this.activeUploads.clear();
-    }
+// Every file below path, named by its path relative to path, for recursive search
+function listRecursiveFiles(items, path) {
+    const prefix = path ? `${path}/` : '';
+    return items
+        .filter(item => item.key &&
+            item.key.startsWith(prefix) &&
+            !item.key.endsWith('/') &&
+            !item.key.endsWith('.keep') &&
+            item.contentType !== 'application/x-directory')
+        .map(item => ({
+            key: item.key,
+            displayName: item.key.slice(prefix.length),
+            size: item.size,
+            isFolder: false,
+            lastModified: item.lastModified,
+            eTag: item.eTag
+        }));
+}
 
-    scheduleCleanup() {
-        setInterval(() => this.checkAndCleanup(), 
-            UPLOAD_CONFIG.CLEANUP.CHECK_INTERVAL_MINUTES * 60 * 1000);
+/**
+ * Bucket Filtering Helpers
+ */
+const FILTERING_PROPERTIES = [
+    {
+        key: 'name',
+        propertyLabel: 'Name',
+        groupValuesLabel: 'Name values',
+        operators: [':', '!:', '=', '!=']
+    },
+    {
+        key: 'extension',
+        propertyLabel: 'Extension',
+        groupValuesLabel: 'Extensions',
+        operators: ['=', '!=']
+    },
+    {
+        key: 'size',
+        propertyLabel: 'Size',
+        groupValuesLabel: 'Sizes (e.g. 10 MB)',
+        operators: ['>', '<', '>=', '<=']
+    },
+    {
+        key: 'lastModified',
+        propertyLabel: 'Last modified',
+        groupValuesLabel: 'Dates (YYYY-MM-DD)',
+        operators: ['>', '<', '>=', '<=']
     }
+];
 
-    addProgressListener(uploadId, callback) {
-        this.progressListeners.set(uploadId, callback);
-    }
+const SIZE_UNITS = { B: 1, BYTES: 1, KB: 1024, MB: 1024 ** 2, GB: 1024 ** 3, TB: 1024 ** 4 };
 
-    removeProgressListener(uploadId) {
-        this.progressListeners.delete(uploadId);
+function getExtension(name) {
+    const dot = name.lastIndexOf('.');
+    return dot > 0 ? name.slice(dot + 1).toLowerCase() : '';
+}
+
+// Parses sizes such as "1024", "10MB" or "1.5 GB" into bytes
+function parseSize(value) {
+    const match = /^\s*([\d.]+)\s*([a-z]*)\s*$/i.exec(value);
+    if (!match) return NaN;
+    const unit = SIZE_UNITS[(match[2] || 'B').toUpperCase()];
+    return unit ? parseFloat(match[1]) * unit : NaN;
+}
+
+// Local midnight of a YYYY-MM-DD date; Date.parse would read it as midnight UTC
+function parseLocalDate(value) {
+    const match = /^\s*(\d{4})-(\d{1,2})-(\d{1,2})\s*$/.exec(value);
+    if (!match) return NaN;
+    return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])).getTime();
+}
+
+function startOfLocalDay(time) {
+    const date = new Date(time);
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+}
+
+function compareValues(actual, operator, expected) {
+    switch (operator) {
+        case ':': return String(actual).includes(expected);
+        case '!:': return !String(actual).includes(expected);
+        case '=': return actual === expected;
+        case '!=': return actual !== expected;
+        case '>': return actual > expected;
+        case '<': return actual < expected;
+        case '>=': return actual >= expected;
+        case '<=': return actual <= expected;
+        default: return true;
     }
+}
 
-    notifyProgress(uploadId, progress) {
-        const callback = this.progressListeners.get(uploadId);
-        if (callback) {
-            callback(progress);
+function matchesFilterToken(item, { propertyKey, operator, value }) {
+    const name = item.displayName.toLowerCase();
+    switch (propertyKey) {
+        case 'name':
+            return compareValues(name, operator, value.toLowerCase());
+        case 'extension':
+            return !item.isFolder &&
+                compareValues(getExtension(item.displayName), operator, value.replace(/^\./, '').toLowerCase());
+        case 'size': {
+            const size = parseSize(value);
+            return !item.isFolder && !Number.isNaN(size) && compareValues(item.size, operator, size);
         }
-        window.dispatchEvent(new UploadProgressEvent(uploadId, progress));
+        case 'lastModified': {
+            // Whole days in local time, so "<= 2024-05-01" includes everything from that day
+            const date = parseLocalDate(value);
+            return Boolean(item.lastModified) && !Number.isNaN(date) &&
+                compareValues(startOfLocalDay(item.lastModified), operator, date);
+        }
+        default:
+            // Free text searches the name
+            return compareValues(name, operator, value.toLowerCase());
     }
+}
 
-    async checkAndCleanup() {
-        if (this.isCleanupRunning) return;
+function filterItems(items, query) {
+    if (!query.tokens.length) return items;
+    return items.filter(item => query.operation === 'or'
+        ? query.tokens.some(token => matchesFilterToken(item, token))
+        : query.tokens.every(token => matchesFilterToken(item, token)));
+}
 
-        const now = Date.now();
-        const lastCleanup = parseInt(localStorage.getItem('lastCleanupTime')) || 0;
-        const cleanupNeeded = (now - lastCleanup) > 
-            (UPLOAD_CONFIG.CLEANUP.CHECK_INTERVAL_MINUTES * 60 * 1000);
+/**
+ * Table Preferences
+ */
+const CONTENT_COLUMNS = [
+    { id: 'name', label: 'Name', alwaysVisible: true },
+    { id: 'lastModified', label: 'Last modified' },
+    { id: 'size', label: 'Size' },
+    { id: 'contentType', label: 'Type (from extension)' },
+    { id: 'eTag', label: 'ETag' },
+    { id: 'fullKey', label: 'Full key' },
+    { id: 'actions', label: 'Actions' }
+];
+
+const DEFAULT_TABLE_PREFERENCES = {
+    pageSize: 50,
+    contentDisplay: CONTENT_COLUMNS.map(({ id }) => ({
+        id,
+        visible: !['contentType', 'eTag', 'fullKey'].includes(id)
+    })),
+    wrapLines: false,
+    contentDensity: 'comfortable'
+};
 
-        if (cleanupNeeded) {
-            this.isCleanupRunning = true;
-            try {
-                await this.performCleanup();
-                localStorage.setItem('lastCleanupTime', now.toString());
-                this.lastCleanupTime = now;
-            } finally {
-                this.isCleanupRunning = false;
-            }
-        }
-    }
+// Listings don't return a content type, so it is inferred from the extension
+const CONTENT_TYPES = {
+    txt: 'text/plain', log: 'text/plain', csv: 'text/csv', tsv: 'text/tab-separated-values', md: 'text/markdown',
+    html: 'text/html', css: 'text/css', js: 'text/javascript', json: 'application/json', xml: 'application/xml',
+    yaml: 'application/yaml', yml: 'application/yaml', pdf: 'application/pdf',
+    zip: 'application/zip', gz: 'application/gzip', tar: 'application/x-tar',
+    png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', gif: 'image/gif', svg: 'image/svg+xml', webp: 'image/webp',
+    bmp: 'image/bmp', avif: 'image/avif',
+    mp4: 'video/mp4', m4v: 'video/mp4', webm: 'video/webm', mov: 'video/quicktime',
+    mp3: 'audio/mpeg', m4a: 'audio/mp4', aac: 'audio/aac', flac: 'audio/flac', wav: 'audio/wav', ogg: 'audio/ogg'
+};
 
-    async performCleanup() {
-        console.log('Starting cleanup operation...');
-        const states = this.getAllUploadStates();
-        const now = Date.now();
-        const staleThreshold = now - (UPLOAD_CONFIG.CLEANUP.STALE_THRESHOLD_HOURS * 60 * 60 * 1000);
+function guessContentType(name) {
+    return CONTENT_TYPES[getExtension(name)] || 'application/octet-stream';
+}
 
-        for (let i = 0; i < states.length; i += UPLOAD_CONFIG.CLEANUP.BATCH_SIZE) {
-            const batch = states.slice(i, i + UPLOAD_CONFIG.CLEANUP.BATCH_SIZE);
-            
-            for (const { key, state } of batch) {
-                if (this.shouldRemoveItem(state, staleThreshold)) {
-                    try {
-                        if (state?.uploadId) {
-                            await this.abortMultipartUpload(state);
-                        }
-                        localStorage.removeItem(key);
-                        console.log(`Cleaned up stale upload state: ${key}`);
-                    } catch (error) {
-                        console.error(`Cleanup error for ${key}:`, error);
-                    }
-                }
-            }
+function loadTablePreferences(username) {
+    try {
+        const saved = JSON.parse(localStorage.getItem(`tablePreferences:${username}`));
+        if (!saved) return DEFAULT_TABLE_PREFERENCES;
+        // Columns added since the preferences were saved are appended with their defaults
+        const savedIds = (saved.contentDisplay || []).map(column => column.id);
+        return {
+            ...DEFAULT_TABLE_PREFERENCES,
+            ...saved,
+            contentDisplay: [
+                ...(saved.contentDisplay || []).filter(column => CONTENT_COLUMNS.some(({ id }) => id === column.id)),
+                ...DEFAULT_TABLE_PREFERENCES.contentDisplay.filter(column => !savedIds.includes(column.id))
+            ]
+        };
+    } catch (error) {
+        console.error('Error loading table preferences:', error);
+        return DEFAULT_TABLE_PREFERENCES;
+    }
+}
 
-            await new Promise(resolve => setTimeout(resolve, 0));
+function saveTablePreferences(username, preferences) {
+    localStorage.setItem(`tablePreferences:${username}`, JSON.stringify(preferences));
+}
+
+// Sorts by the given field while keeping folders ahead of files
+function sortItems(items, sortingField, descending) {
+    const direction = descending ? -1 : 1;
+    return [...items].sort((a, b) => {
+        if (a.isFolder !== b.isFolder) return a.isFolder ? -1 : 1;
+        switch (sortingField) {
+            case 'size':
+                return (a.size - b.size) * direction;
+            case 'lastModified':
+                return (new Date(a.lastModified || 0) - new Date(b.lastModified || 0)) * direction;
+            default:
+                return a.displayName.localeCompare(b.displayName) * direction;
         }
-    }
+    });
+}
 
-    shouldRemoveItem(state, staleThreshold) {
-        if (!state) return true;
-        if (state.completed && state.timestamp < staleThreshold) return true;
-        if (state.failed && state.timestamp < staleThreshold) return true;
-        return !state.completed && !state.failed && state.timestamp < staleThreshold;
-    }
+/**
+ * User Preferences
+ */
+// Limits on the upload settings users may change. REACT_APP_PREFERENCE_BOUNDS takes a JSON object
+// with the same keys, for example {"concurrentUploads": {"min": 1, "max": 4}}; a missing min or max
+// keeps the default one.
+const DEFAULT_PREFERENCE_BOUNDS = {
+    chunkSizeMB: { min: 5, max: 5120 }, // S3 parts must be at least 5 MB
+    concurrentUploads: { min: 1, max: 16 },
+    maxRetries: { min: 0, max: 10 },
+    staleThresholdHours: { min: 1, max: 720 },
+    cleanupIntervalMinutes: { min: 5, max: 1440 }
+};
 
-    async abortMultipartUpload(state) {
-        if (!state.uploadId || !state.path) return;
-        try {
-            const upload = this.activeUploads.get(state.uploadId);
-            if (upload && upload.abort) {
-                await upload.abort();
+function loadPreferenceBounds(config = process.env.REACT_APP_PREFERENCE_BOUNDS) {
+    if (!config) return DEFAULT_PREFERENCE_BOUNDS;
+    try {
+        const overrides = JSON.parse(config);
+        const bounds = {};
+        Object.entries(DEFAULT_PREFERENCE_BOUNDS).forEach(([id, defaults]) => {
+            const { min, max } = { ...defaults, ...overrides[id] };
+            if (!Number.isFinite(min) || !Number.isFinite(max) || min > max) {
+                throw new Error(`${id} needs numbers with min no greater than max, got ${JSON.stringify(overrides[id])}`);
             }
-            await Storage.cancel(state.path, { id: state.uploadId });
-            this.activeUploads.delete(state.uploadId);
-        } catch (error) {
-            console.error('Error aborting multipart upload:', error);
-        }
+            bounds[id] = { min, max };
+        });
+        return bounds;
+    } catch (error) {
+        console.error('Invalid REACT_APP_PREFERENCE_BOUNDS configuration:', error);
+        return DEFAULT_PREFERENCE_BOUNDS;
     }
+}
 
-    registerUpload(uploadId, handler) {
-        this.activeUploads.set(uploadId, handler);
-    }
+const PREFERENCE_BOUNDS = loadPreferenceBounds();
+
+const UPLOAD_PREFERENCE_FIELDS = [
+    { id: 'chunkSizeMB', label: 'Part size (MB)', description: 'Size of each multipart upload part. Very large files use bigger parts to stay within 10,000 parts.' },
+    { id: 'concurrentUploads', label: 'Parallel parts per file', description: 'Parts of one file uploaded at the same time.' },
+    { id: 'maxRetries', label: 'Retries per part', description: 'Attempts made after the first one fails, before the part is marked as failed.' },
+    { id: 'staleThresholdHours', label: 'Keep interrupted uploads for (hours)', description: 'Saved upload state older than this is removed and its multipart upload aborted.' },
+    { id: 'cleanupIntervalMinutes', label: 'Cleanup interval (minutes)', description: 'How often saved upload state is checked for stale entries.' }
+];
+
+const SPEED_UNIT_OPTIONS = [
+    { value: 'bytes', label: 'Bytes per second (MB/s)' },
+    { value: 'bits', label: 'Bits per second (Mbps)' }
+];
+
+const DATE_FORMAT_OPTIONS = [
+    { value: 'locale', label: 'Browser locale', description: new Date(2024, 0, 31, 14, 5).toLocaleString() },
+    { value: 'iso', label: 'ISO 8601 (local time)', description: '2024-01-31 14:05:00' },
+    { value: 'relative', label: 'Relative', description: '3 hours ago' }
+];
+
+// Captured before any user's settings are applied to UPLOAD_CONFIG
+const DEFAULT_USER_PREFERENCES = {
+    chunkSizeMB: UPLOAD_CONFIG.CHUNK_SIZE / (1024 * 1024),
+    concurrentUploads: UPLOAD_CONFIG.CONCURRENT_UPLOADS,
+    maxRetries: UPLOAD_CONFIG.MAX_RETRIES,
+    staleThresholdHours: UPLOAD_CONFIG.CLEANUP.STALE_THRESHOLD_HOURS,
+    cleanupIntervalMinutes: UPLOAD_CONFIG.CLEANUP.CHECK_INTERVAL_MINUTES,
+    speedUnit: 'bytes',
+    dateFormat: 'locale'
+};
 
-    unregisterUpload(uploadId) {
-        this.activeUploads.delete(uploadId);
-    }
+let displayPreferences = DEFAULT_USER_PREFERENCES;
 
-    saveUploadState(uploadId, state) {
-        const updatedState = {
-            ...state,
-            lastUpdated: Date.now()
-        };
-        localStorage.setItem(`${this.storagePrefix}${uploadId}`, JSON.stringify(updatedState));
-        this.notifyProgress(uploadId, updatedState);
-    }
+// Keeps numeric settings whole and inside the admin bounds
+function clampPreferences(preferences, bounds = PREFERENCE_BOUNDS) {
+    const clamped = { ...preferences };
+    Object.entries(bounds).forEach(([id, { min, max }]) => {
+        const value = Math.round(Number(preferences[id]));
+        clamped[id] = Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : DEFAULT_USER_PREFERENCES[id];
+    });
+    return clamped;
+}
 
-    getUploadState(uploadId) {
-        const state = localStorage.getItem(`${this.storagePrefix}${uploadId}`);
-        return state ? JSON.parse(state) : null;
+function loadUserPreferences(username) {
+    try {
+        const saved = JSON.parse(localStorage.getItem(`userPreferences:${username}`));
+        return clampPreferences({ ...DEFAULT_USER_PREFERENCES, ...saved });
+    } catch (error) {
+        console.error('Error loading user preferences:', error);
+        return clampPreferences(DEFAULT_USER_PREFERENCES);
     }
+}
 
-    removeUploadState(uploadId) {
-        localStorage.removeItem(`${this.storagePrefix}${uploadId}`);
-        this.activeUploads.delete(uploadId);
-    }
+function saveUserPreferences(username, preferences) {
+    localStorage.setItem(`userPreferences:${username}`, JSON.stringify(preferences));
+}
 
-    getAllUploadStates() {
-        const states = [];
-        for (let i = 0; i < localStorage.length; i++) {
-            const key = localStorage.key(i);
-            if (key?.startsWith(this.storagePrefix)) {
-                try {
-                    const state = JSON.parse(localStorage.getItem(key));
-                    states.push({ key, state, timestamp: state.startTime || 0 });
-                } catch (error) {
-                    states.push({ key, state: null, timestamp: 0 });
-                }
-            }
+// Upload settings are read from UPLOAD_CONFIG when each upload starts, so new values
+// apply to the next upload rather than to parts already in flight
+function applyUserPreferences(preferences) {
+    UPLOAD_CONFIG.CHUNK_SIZE = preferences.chunkSizeMB * 1024 * 1024;
+    UPLOAD_CONFIG.CONCURRENT_UPLOADS = preferences.concurrentUploads;
+    UPLOAD_CONFIG.MAX_RETRIES = preferences.maxRetries;
+    UPLOAD_CONFIG.CLEANUP.STALE_THRESHOLD_HOURS = preferences.staleThresholdHours;
+    UPLOAD_CONFIG.CLEANUP.CHECK_INTERVAL_MINUTES = preferences.cleanupIntervalMinutes;
+    displayPreferences = preferences;
+}
+
+function formatRate(bytesPerSecond) {
+    if (!Number.isFinite(bytesPerSecond) || bytesPerSecond <= 0) return 'Calculating...';
+    if (displayPreferences.speedUnit === 'bytes') return `${formatBytes(bytesPerSecond)}/s`;
+
+    const mbps = bytesPerSecond * 8 / (1000 * 1000);
+    return mbps >= 1000 ? `${(mbps / 1000).toFixed(2)} Gbps` : `${mbps.toFixed(2)} Mbps`;
+}
+
+const RELATIVE_TIME_UNITS = [
+    ['year', 365 * 24 * 3600],
+    ['month', 30 * 24 * 3600],
+    ['day', 24 * 3600],
+    ['hour', 3600],
+    ['minute', 60],
+    ['second', 1]
+];
+
+function formatDate(value) {
+    if (!value) return '-';
+    const date = new Date(value);
+    switch (displayPreferences.dateFormat) {
+        case 'iso':
+            // toISOString is always UTC, so shift by the local offset first
+            return new Date(date.getTime() - date.getTimezoneOffset() * 60 * 1000).toISOString().replace('T', ' ').slice(0, 19);
+        case 'relative': {
+            const seconds = (date.getTime() - Date.now()) / 1000;
+            const [unit, size] = RELATIVE_TIME_UNITS.find(([, size]) => Math.abs(seconds) >= size) || RELATIVE_TIME_UNITS[5];
+            return new Intl.RelativeTimeFormat(undefined, { numeric: 'auto' }).format(Math.round(seconds / size), unit);
         }
-        return states;
+        default:
+            return date.toLocaleString();
     }
+}
 
-    isUploading() {
-        return this.activeUploads.size > 0;
+/**
+ * Upload History Store
+ */
+// Finished, failed and cancelled uploads, kept in IndexedDB so they outlive the page
+const HISTORY_DB_NAME = 's3-upload-history';
+const HISTORY_STORE = 'uploads';
+let historyDb = null;
+
+function openHistoryDb() {
+    if (!historyDb) {
+        historyDb = new Promise((resolve, reject) => {
+            const request = indexedDB.open(HISTORY_DB_NAME, 1);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(HISTORY_STORE, { keyPath: 'id' });
+                store.createIndex('username', 'username');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // A failed open is retried on the next call
+        historyDb.catch(() => {
+            historyDb = null;
+        });
     }
+    return historyDb;
+}
 
-    getActiveUploads() {
-        return Array.from(this.activeUploads.values());
-    }
+// Runs one request in its own transaction and resolves once the transaction commits
+async function historyRequest(mode, createRequest) {
+    const db = await openHistoryDb();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(HISTORY_STORE, mode);
+        const request = createRequest(transaction.objectStore(HISTORY_STORE));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
 }
 
-// Export the UploadStateManager class
-export { UploadStateManager };
+function saveUploadRecord(record) {
+    return historyRequest('readwrite', store => store.put(record));
+}
 
-/**
- * Enhanced MultipartUploadHandler Class
- */
-class MultipartUploadHandler {
-    constructor(file, path, stateManager, onProgress) {
-        this.file = file;
-        this.path = path;
-        this.stateManager = stateManager;
-        this.onProgress = onProgress;
-        this.uploadId = `upload-${Date.now()}-${Math.random().toString(36).slice(2)}`;
-        this.numParts = Math.ceil(file.size / UPLOAD_CONFIG.CHUNK_SIZE);
-        this.startTime = Date.now();
-        this.bytesUploaded = 0;
-        this.uploadSpeed = 0;
-        this.lastSpeedUpdate = Date.now();
-        this.activeUploads = new Set();
-        this.aborted = false;
-        this.s3UploadId = null; // To store the S3 multipart upload ID
-        this.uploadedParts = []; // New property to track uploaded parts
-        this.retryTimeouts = {};
-        this.maxRetryDelay = 32000; // 32 seconds
-        this.initializePartTracking();
-    }
+function loadUploadRecords(username) {
+    return historyRequest('readonly', store => store.index('username').getAll(username));
+}
 
-    initializePartTracking() {
-        this.parts = Array(this.numParts).fill(null).map((_, index) => ({
-            partNumber: index + 1,
-            startByte: index * UPLOAD_CONFIG.CHUNK_SIZE,
-            endByte: Math.min((index + 1) * UPLOAD_CONFIG.CHUNK_SIZE, this.file.size),
-            progress: 0,
-            status: 'pending',
-            completed: false,
-            inProgress: false,
-            error: null,
-            startTime: null,
-            endTime: null,
-            bytesUploaded: 0,
-            size: Math.min(UPLOAD_CONFIG.CHUNK_SIZE, this.file.size - (index * UPLOAD_CONFIG.CHUNK_SIZE))
-        }));
-    }
+function clearUploadRecords(username) {
+    return historyRequest('readwrite', store => {
+        const request = store.index('username').openKeyCursor(IDBKeyRange.only(username));
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (cursor) {
+                store.delete(cursor.primaryKey);
+                cursor.continue();
+            }
+        };
+        return request;
+    });
+}
 
-    updatePartProgress(partNumber, progress, status, error = null) {
-        const partIndex = partNumber - 1;
-        if (this.parts[partIndex]) {
-            const now = Date.now();
-            this.parts[partIndex] = {
-                ...this.parts[partIndex],
-                progress,
-                status,
-                inProgress: status === 'uploading',
-                completed: status === 'completed',
-                error: error,
-                startTime: this.parts[partIndex].startTime || (status === 'uploading' ? now : null),
-                endTime: status === 'completed' ? now : null,
-                bytesUploaded: (progress / 100) * this.parts[partIndex].size
-            };
-        }
-    }
+const HISTORY_EXPORT_FIELDS = ['finishedAt', 'status', 'bucket', 'level', 'key', 'fileName', 'size',
+    'durationSeconds', 'averageBytesPerSecond', 'checksum', 'verification', 'error'];
+
+// Flat rows for CSV and JSON export, with times as ISO 8601
+function toExportRows(records) {
+    return records.map(record => ({
+        finishedAt: new Date(record.finishedAt).toISOString(),
+        status: record.status,
+        bucket: record.bucket,
+        level: record.level,
+        key: record.key,
+        fileName: record.fileName,
+        size: record.size,
+        durationSeconds: Math.round(record.duration * 10) / 10,
+        averageBytesPerSecond: Math.round(record.averageSpeed),
+        checksum: record.checksum || '',
+        verification: record.verification || '',
+        error: record.error || ''
+    }));
+}
 
-    updateOverallProgress() {
-        const totalBytes = this.file.size;
-        const uploadedBytes = this.parts.reduce((total, part) => 
-            total + (part.size * (part.progress / 100)), 0
-        );
-        
-        const progress = this.calculateProgress(
-            this.parts.filter(p => p.completed).length,
-            uploadedBytes
-        );
-        
-        this.onProgress?.(progress);
-        this.stateManager.notifyProgress(this.uploadId, progress);
-    }    
+// Cells starting with =, +, -, @, a tab or a carriage return are prefixed with ' so spreadsheets
+// don't run them as formulas
+function toCsv(rows) {
+    const escape = value => {
+        const text = String(value ?? '');
+        return `"${(/^[=+\-@\t\r]/.test(text) ? `'${text}` : text).replace(/"/g, '""')}"`;
+    };
+    return [
+        HISTORY_EXPORT_FIELDS.join(','),
+        ...rows.map(row => HISTORY_EXPORT_FIELDS.map(field => escape(row[field])).join(','))
+    ].join('\r\n');
+}
 
-    calculateProgress(completedParts, bytesUploaded) {
-        const now = Date.now();
-        const elapsedTime = (now - this.startTime) / 1000; // in seconds
-        const totalSize = this.file.size;
-        
-        // Calculate upload speed (bytes per second)
-        const timeSinceLastUpdate = (now - this.lastSpeedUpdate) / 1000;
-        if (timeSinceLastUpdate >= 1) {
-            this.uploadSpeed = (bytesUploaded - this.bytesUploaded) / timeSinceLastUpdate;
-            this.bytesUploaded = bytesUploaded;
-            this.lastSpeedUpdate = now;
-        }
+function saveTextFile(fileName, text, type) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
 
-        // Calculate average speed
-        const averageSpeed = bytesUploaded / elapsedTime;
+/**
+ * Account Helpers
+ */
+// Standard attributes a user may change themselves; the app client's write permissions still apply
+const EDITABLE_ATTRIBUTES = ['name', 'given_name', 'family_name', 'middle_name', 'nickname', 'preferred_username',
+    'email', 'phone_number', 'address', 'birthdate', 'gender', 'locale', 'zoneinfo', 'website', 'picture', 'profile'];
+
+// Changing these sends a code that confirms the new value
+const VERIFIED_ATTRIBUTES = ['email', 'phone_number'];
+
+const ATTRIBUTE_LABELS = {
+    sub: 'User ID',
+    email_verified: 'Email verified',
+    phone_number: 'Phone number',
+    phone_number_verified: 'Phone number verified',
+    given_name: 'Given name',
+    family_name: 'Family name',
+    middle_name: 'Middle name',
+    preferred_username: 'Preferred username',
+    zoneinfo: 'Time zone',
+    updated_at: 'Updated at'
+};
 
-        // Estimate remaining time
-        const remainingBytes = totalSize - bytesUploaded;
-        const estimatedTimeRemaining = this.uploadSpeed ? remainingBytes / this.uploadSpeed : 0;
+function getAttributeLabel(name) {
+    if (ATTRIBUTE_LABELS[name]) return ATTRIBUTE_LABELS[name];
+    const label = name.replace(/^custom:/, '').replace(/_/g, ' ');
+    return label.charAt(0).toUpperCase() + label.slice(1);
+}
 
-        // Calculate part statistics
-        const completedPartsCount = this.parts.filter(p => p.completed).length;
-        const inProgressPartsCount = this.parts.filter(p => p.inProgress).length;
-        const failedPartsCount = this.parts.filter(p => p.error).length;
+// Key URI understood by authenticator apps
+function getTotpUri(username, secret) {
+    const issuer = 'S3 Object Upload Tool';
+    return `otpauth://totp/${encodeURIComponent(`${issuer}:${username}`)}?secret=${secret}&issuer=${encodeURIComponent(issuer)}`;
+}
 
-        return {
-            id: this.uploadId,
-            filename: this.file.name,
-            progress: (bytesUploaded / totalSize) * 100,
-            loadedParts: completedPartsCount,
-            totalParts: this.numParts,
-            bytesUploaded,
-            totalSize,
-            uploadSpeed: formatBytes(this.uploadSpeed) + '/s',
-            averageSpeed: formatBytes(averageSpeed) + '/s',
-            estimatedTimeRemaining: formatTime(estimatedTimeRemaining),
-            elapsedTime: formatTime(elapsedTime),
-            status: this.aborted ? 'aborted' : 'in-progress',
-            parts: this.parts,
-            statistics: {
-                completed: completedPartsCount,
-                inProgress: inProgressPartsCount,
-                failed: failedPartsCount,
-                pending: this.numParts - (completedPartsCount + inProgressPartsCount + failedPartsCount)
-            }
-        };
-    }
+/**
+ * Preview Helpers
+ */
+const PREVIEW_CONFIG = {
+    MAX_TEXT_SIZE: 5 * 1024 * 1024,       // Text, JSON, CSV and Markdown are downloaded whole
+    MAX_DOCUMENT_SIZE: 100 * 1024 * 1024, // Images and PDFs
+    MAX_CSV_ROWS: 500
+};
 
-    async start() {
-        try {
-            console.log('Starting upload for:', this.path);
-            await this.initializeUpload();
-            if (!this.aborted) {
-                await this.uploadParts();
-                if (!this.aborted) {
-                    await this.completeUpload();
-                    return true;
-                }
+const PREVIEW_KINDS = {
+    image: ['png', 'jpg', 'jpeg', 'gif', 'webp', 'svg', 'bmp', 'avif'],
+    video: ['mp4', 'm4v', 'webm', 'mov'],
+    audio: ['mp3', 'm4a', 'aac', 'flac', 'wav', 'ogg'],
+    pdf: ['pdf'],
+    json: ['json'],
+    csv: ['csv', 'tsv'],
+    markdown: ['md', 'markdown'],
+    text: ['txt', 'log', 'xml', 'yaml', 'yml', 'ini', 'conf', 'sql', 'sh', 'py', 'js', 'ts', 'html', 'css']
+};
+
+function getPreviewKind(name) {
+    const extension = getExtension(name);
+    const entry = Object.entries(PREVIEW_KINDS).find(([, extensions]) => extensions.includes(extension));
+    return entry ? entry[0] : null;
+}
+
+// Video and audio stream with range requests, so only fully downloaded kinds have a limit
+function getPreviewLimit(kind) {
+    if (kind === 'video' || kind === 'audio') return Infinity;
+    if (kind === 'image' || kind === 'pdf') return PREVIEW_CONFIG.MAX_DOCUMENT_SIZE;
+    return PREVIEW_CONFIG.MAX_TEXT_SIZE;
+}
+
+// Parses delimited text into rows, honouring quoted fields that contain delimiters, quotes or newlines
+function parseCsv(text, delimiter = ',') {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
             }
-            return false;
-        } catch (error) {
-            await this.handleError(error);
-            return false;
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
         }
     }
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+}
 
-    async initializeUpload() {
-        try {
-            // Start the upload normally
-            await Storage.put(this.path, this.file, {
-                level: 'protected',
-                progressCallback: (progress) => {
-                    const progressInfo = this.calculateProgress(1, progress.loaded);
-                    this.onProgress?.(progressInfo);
-                    this.stateManager.notifyProgress(this.uploadId, progressInfo);
-                }
-            });
+/**
+ * Bucket Configuration
+ */
+// REACT_APP_S3_BUCKETS takes a JSON array such as
+// [{"name": "team-raw", "region": "eu-west-1", "description": "Raw uploads"}].
+// Without it the Amplify storage bucket is the only entry.
+function loadBucketConfig() {
+    const fallback = [{
+        name: awsconfig.aws_user_files_s3_bucket,
+        region: awsconfig.aws_user_files_s3_bucket_region,
+        description: 'Amplify storage bucket'
+    }];
+    if (!process.env.REACT_APP_S3_BUCKETS) return fallback;
+
+    try {
+        const buckets = JSON.parse(process.env.REACT_APP_S3_BUCKETS)
+            .filter(bucket => bucket && bucket.name && bucket.region);
+        return buckets.length > 0 ? buckets : fallback;
+    } catch (error) {
+        console.error('Invalid REACT_APP_S3_BUCKETS configuration:', error);
+        return fallback;
+    }
+}
 
-            // Update state after successful upload
-            this.stateManager.saveUploadState(this.uploadId, {
-                uploadId: this.uploadId,
-                path: this.path,
-                startTime: Date.now(),
-                completed: true,
-                failed: false
-            });
-        } catch (error) {
-            console.error('Failed to initialize upload:', error);
-            throw error;
+const BUCKETS = loadBucketConfig();
+let activeBucket = BUCKETS[0];
+
+// Amplify holds a single Storage configuration, so entering a bucket repoints it
+// along with the S3 helpers below
+function activateBucket(bucket) {
+    activeBucket = bucket;
+    Storage.configure({
+        AWSS3: {
+            bucket: bucket.name,
+            region: bucket.region,
+            level: 'protected'
         }
+    });
+}
+
+function getActiveBucket() {
+    return activeBucket;
+}
+
+function decodeSegment(segment) {
+    try {
+        return decodeURIComponent(segment);
+    } catch (error) {
+        return segment;
     }
+}
 
-    async initializeMultipartUpload() {
-        try {
-            // Use Storage.put instead of multiPartUpload for initialization
-            await Storage.put(
-                this.path,
-                this.file,
-                {
-                    level: 'protected',
-                    contentType: this.file.type,
-                    progressCallback: (progress) => {
-                        if (this.aborted) return;
-                        
-                        const progressInfo = this.calculateProgress(1, progress.loaded);
-                        this.onProgress?.(progressInfo);
-                        this.stateManager.notifyProgress(this.uploadId, progressInfo);
-                    }
-                }
-            );
-            
-            // Save the initial state
-            this.stateManager.saveUploadState(this.uploadId, {
-                uploadId: this.uploadId,
-                s3UploadId: this.s3UploadId,
-                path: this.path,
-                fileSize: this.file.size,
-                fileName: this.file.name,
-                startTime: Date.now(),
-                completed: false,
-                failed: false
-            });
-        } catch (error) {
-            console.error('Failed to initialize multipart upload:', error);
-            throw error;
-        }
-    }    
+// Bucket views live at /b/<bucket>/<prefix>; levels other than protected ride along as ?level=
+function getBucketRoute(bucketName, path = '', level = 'protected') {
+    const segments = [bucketName, ...path.split('/').filter(Boolean)].map(encodeURIComponent);
+    return `/b/${segments.join('/')}${level === 'protected' ? '' : `?level=${level}`}`;
+}
 
-    async uploadParts() {
-        const uploadPromises = [];
-        const uploadedParts = [];
+// Reads a /b/:bucket/* match back into a configured bucket, prefix and access level
+function parseBucketRoute(match, search) {
+    if (!match) return null;
+    const bucket = BUCKETS.find(({ name }) => name === decodeSegment(match.params.bucket));
+    if (!bucket) return null;
+
+    const level = new URLSearchParams(search).get('level');
+    return {
+        bucket,
+        path: (match.params['*'] || '').split('/').filter(Boolean).map(decodeSegment).join('/'),
+        level: ACCESS_LEVELS.some(({ id }) => id === level) ? level : 'protected'
+    };
+}
 
-        for (let partNumber = 1; partNumber <= this.numParts; partNumber++) {
-            if (this.aborted) break;
+// Link hrefs for app routes carry the router's prefix ("#" under HashRouter), so they also work
+// when opened in a new tab; toRoute turns a followed href back into a route for navigate()
+function useRouteHrefs() {
+    const base = useHref('/').replace(/\/$/, '');
+    return {
+        toHref: route => base + route,
+        toRoute: href => href.startsWith(base) ? href.slice(base.length) || '/' : href
+    };
+}
 
-            const start = (partNumber - 1) * UPLOAD_CONFIG.CHUNK_SIZE;
-            const end = Math.min(start + UPLOAD_CONFIG.CHUNK_SIZE, this.file.size);
-            const chunk = this.file.slice(start, end);
+/**
+ * S3 Client Helpers
+ */
+const s3Clients = new Map();
+
+function getS3Client(region = activeBucket.region) {
+    if (!s3Clients.has(region)) {
+        s3Clients.set(region, new S3Client({
+            region,
+            // Resolved per request so long uploads pick up refreshed Cognito credentials
+            credentials: async () => Auth.essentialCredentials(await Auth.currentCredentials()),
+            // Default CRC32 checksums would be signed into presigned part URLs for an empty body
+            requestChecksumCalculation: 'WHEN_REQUIRED',
+            responseChecksumValidation: 'WHEN_REQUIRED'
+        }));
+    }
+    return s3Clients.get(region);
+}
 
-            const uploadPromise = this.uploadPart(chunk, partNumber)
-                .then(part => {
-                    uploadedParts.push(part);
-                    this.updateProgress(uploadedParts.length);
-                })
-                .catch(error => {
-                    this.updatePartProgress(partNumber, 0, 'error', error.message);
-                    throw error;
-                });
+// Maps a Storage path to the full object key Amplify uses for the given access level
+async function resolveS3Key(path, level = 'protected') {
+    if (level === 'public') return `public/${path}`;
+    const { identityId } = await Auth.currentCredentials();
+    return getLevelPrefix(level, identityId) + path;
+}
 
-            uploadPromises.push(uploadPromise);
+function getLevelPrefix(level, identityId) {
+    return level === 'public' ? 'public/' : `${level}/${identityId}/`;
+}
 
-            if (uploadPromises.length >= UPLOAD_CONFIG.CONCURRENT_UPLOADS) {
-                await Promise.race(uploadPromises);
-                const completedIndex = uploadPromises.findIndex(p => p.status === 'fulfilled');
-                if (completedIndex !== -1) {
-                    uploadPromises.splice(completedIndex, 1);
-                }
-            }
-        }
+// Amplify access levels, as offered in the bucket browser
+const ACCESS_LEVELS = [
+    { id: 'public', text: 'Public', description: 'Shared with every signed-in user, who can also change or delete these files.' },
+    { id: 'protected', text: 'Protected', description: 'Every signed-in user can read these files; only you can change them.' },
+    { id: 'private', text: 'Private', description: 'Only you can see these files.' }
+];
+
+function bytesToBase64(bytes) {
+    let binary = '';
+    bytes.forEach(byte => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary);
+}
 
-        if (!this.aborted) {
-            await Promise.all(uploadPromises);
-            this.uploadedParts = uploadedParts.sort((a, b) => a.PartNumber - b.PartNumber);
-        }
+function base64ToBytes(base64) {
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+// Base64 SHA-256 of a file or part, read a slice at a time so large parts never sit in memory
+async function sha256Blob(blob) {
+    const hasher = await createSHA256();
+    hasher.init();
+    for (let offset = 0; offset < blob.size; offset += UPLOAD_CONFIG.HASH_READ_SIZE) {
+        const buffer = await blob.slice(offset, offset + UPLOAD_CONFIG.HASH_READ_SIZE).arrayBuffer();
+        hasher.update(new Uint8Array(buffer));
     }
+    return bytesToBase64(hasher.digest('binary'));
+}
 
-    async uploadPart(chunk, partNumber) {
-        let retries = 0;
-        const maxRetries = UPLOAD_CONFIG.MAX_RETRIES;
-        const initialDelay = 1000;
+// S3's composite checksum for a multipart object: SHA-256 over the part digests, plus the part count
+async function compositeSha256(partChecksums) {
+    const hasher = await createSHA256();
+    hasher.init();
+    partChecksums.forEach(checksum => hasher.update(base64ToBytes(checksum)));
+    return `${bytesToBase64(hasher.digest('binary'))}-${partChecksums.length}`;
+}
 
-        while (true) {
-            try {
-                this.activeUploads.add(partNumber);
-                this.updatePartProgress(partNumber, 0, 'uploading');
+// A saved upload can only be resumed with the exact file it was started from
+function isSameFile(state, file) {
+    return state.fileName === file.name &&
+        state.fileSize === file.size &&
+        state.fileLastModified === file.lastModified;
+}
 
-                // Use Storage.put for each part
-                const response = await Storage.put(
-                    `${this.path}_part${partNumber}`,
-                    chunk,
-                    {
-                        level: 'protected',
-                        contentType: 'application/octet-stream',
-                        progressCallback: (progress) => {
-                            if (this.aborted) return;
-                            const partProgress = (progress.loaded / chunk.size) * 100;
-                            this.updatePartProgress(partNumber, partProgress, 'uploading');
-                        }
-                    }
-                );
+// Part size grows beyond CHUNK_SIZE when needed to stay within the S3 part limit
+function getPartSize(fileSize) {
+    return Math.max(UPLOAD_CONFIG.CHUNK_SIZE, Math.ceil(fileSize / UPLOAD_CONFIG.MAX_PARTS));
+}
 
-                this.updatePartProgress(partNumber, 100, 'completed');
-                this.activeUploads.delete(partNumber);
+/**
+ * Object Operation Helpers
+ */
+// Every object stored under a folder, including folder and .keep markers
+async function listFolderObjects(folderKey, level, { bucket, region }) {
+    const { results } = await Storage.list(`${folderKey}/`, {
+        level,
+        bucket,
+        region,
+        pageSize: 'ALL'
+    });
+    return results.filter(item => item.key);
+}
 
-                return {
-                    PartNumber: partNumber,
-                    ETag: response.key
-                };
+// Keys already stored in a destination folder, read from S3 so unloaded listing pages count too
+async function listDestinationKeys(destination, level, { bucket, region }) {
+    const { results } = await Storage.list(destination ? `${destination}/` : '', {
+        level,
+        bucket,
+        region,
+        pageSize: 'ALL'
+    });
+    return new Set(results.filter(item => item.key).map(item => item.key));
+}
 
-            } catch (error) {
-                this.activeUploads.delete(partNumber);
-                retries++;
+// Whether an object is stored at key, or a folder under it
+async function isKeyTaken(key, level, { bucket, region }) {
+    const { results } = await Storage.list(key, {
+        level,
+        bucket,
+        region,
+        pageSize: 'ALL'
+    });
+    return results.some(item => item.key === key || item.key?.startsWith(`${key}/`));
+}
 
-                if (retries >= maxRetries) {
-                    this.updatePartProgress(partNumber, 0, 'error', error.message);
-                    throw new Error(`Failed to upload part ${partNumber} after ${maxRetries} attempts: ${error.message}`);
-                }
+// Expands selected rows into the objects they cover, with keys relative to the listing path.
+// Like the helpers above, it takes the bucket the action started in.
+async function expandSelection(items, basePath, level, { bucket, region }) {
+    const prefix = basePath ? `${basePath}/` : '';
+    const objects = [];
+    const relativeTo = key => key.startsWith(prefix) ? key.slice(prefix.length) : key;
+    for (const item of items) {
+        const covered = item.isFolder ? await listFolderObjects(item.key, level, { bucket, region }) : [item];
+        covered.forEach(object => objects.push({
+            key: object.key,
+            itemPath: relativeTo(item.key),
+            isFolderItem: Boolean(item.isFolder),
+            size: object.size || 0,
+            relativePath: relativeTo(object.key),
+            lastModified: object.lastModified,
+            isMarker: object.key.endsWith('/') || object.key.endsWith('.keep')
+        }));
+    }
+    return objects;
+}
 
-                const delay = Math.min(initialDelay * Math.pow(2, retries - 1), this.maxRetryDelay)
-                    + Math.random() * 1000;
+function normalizeFolderPath(path) {
+    return path.trim().replace(/^\/+|\/+$/g, '');
+}
 
-                this.updatePartProgress(
-                    partNumber, 
-                    0, 
-                    'retrying', 
-                    `Retrying... (Attempt ${retries} of ${maxRetries})`
-                );
+function joinPath(...segments) {
+    return segments.filter(Boolean).join('/');
+}
 
-                await new Promise(resolve => setTimeout(resolve, delay));
+function getParentPath(key) {
+    return key.replace(/\/$/, '').split('/').slice(0, -1).join('/');
+}
+
+// Copies an object within an access level of a bucket, in parts when it exceeds the CopyObject limit.
+// The bucket is passed in rather than read from the active one, which changes as the user navigates.
+async function copyObject(sourceKey, destinationKey, size, level, { bucket, region }) {
+    const client = getS3Client(region);
+    const source = await resolveS3Key(sourceKey, level);
+    const destination = await resolveS3Key(destinationKey, level);
+    const copySource = `${bucket}/${encodeURIComponent(source).replace(/%2F/g, '/')}`;
+
+    if (size <= UPLOAD_CONFIG.MAX_COPY_OBJECT_SIZE) {
+        await client.send(new CopyObjectCommand({
+            Bucket: bucket,
+            Key: destination,
+            CopySource: copySource
+        }));
+        return;
+    }
+
+    // Multipart copies don't carry headers over, so they are read from the source first
+    const head = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: source }));
+    const { UploadId } = await client.send(new CreateMultipartUploadCommand({
+        Bucket: bucket,
+        Key: destination,
+        ContentType: head.ContentType,
+        Metadata: head.Metadata
+    }));
+
+    try {
+        const partSize = getPartSize(size);
+        const parts = [];
+        for (let start = 0; start < size; start += partSize) {
+            const partNumber = parts.length + 1;
+            const { CopyPartResult } = await client.send(new UploadPartCopyCommand({
+                Bucket: bucket,
+                Key: destination,
+                UploadId,
+                PartNumber: partNumber,
+                CopySource: copySource,
+                CopySourceRange: `bytes=${start}-${Math.min(start + partSize, size) - 1}`
+            }));
+            parts.push({ PartNumber: partNumber, ETag: CopyPartResult.ETag });
+        }
+
+        await client.send(new CompleteMultipartUploadCommand({
+            Bucket: bucket,
+            Key: destination,
+            UploadId,
+            MultipartUpload: { Parts: parts }
+        }));
+    } catch (error) {
+        await client.send(new AbortMultipartUploadCommand({
+            Bucket: bucket,
+            Key: destination,
+            UploadId
+        })).catch(abortError => console.error('Error aborting multipart copy:', abortError));
+        throw error;
+    }
+}
+
+// Adds " (n)" before a file's extension, or to the end of a folder name
+function withSuffix(path, n, isFolder) {
+    const name = path.split('/').pop();
+    const dot = name.lastIndexOf('.');
+    if (isFolder || dot <= 0) return `${path} (${n})`;
+    return `${path.slice(0, path.length - name.length + dot)} (${n})${name.slice(dot)}`;
+}
+
+// Applies a conflict policy to a copy plan. Skip and overwrite apply per object; rename gives a
+// conflicting top-level file or folder the first free " (n)" suffix and copies it whole.
+function resolveCopyConflicts(plan, destination, policy, existingKeys) {
+    if (policy === 'overwrite') return plan;
+    if (policy === 'skip') {
+        return plan.map(step => existingKeys.has(step.destinationKey) ? { ...step, skip: true } : step);
+    }
+
+    // Every key and every folder above it counts as taken
+    const taken = new Set();
+    existingKeys.forEach(key => {
+        const parts = key.replace(/\/$/, '').split('/');
+        parts.forEach((part, index) => taken.add(parts.slice(0, index + 1).join('/')));
+    });
+
+    const targets = new Map();
+    return plan.map(step => {
+        const { itemPath, isFolderItem } = step.object;
+        if (!targets.has(itemPath)) {
+            const target = joinPath(destination, itemPath);
+            let renamed = target;
+            for (let n = 1; taken.has(renamed); n++) {
+                renamed = withSuffix(target, n, isFolderItem);
+            }
+            taken.add(renamed);
+            targets.set(itemPath, { target, renamed });
+        }
+        const { target, renamed } = targets.get(itemPath);
+        return { ...step, destinationKey: renamed + step.destinationKey.slice(target.length) };
+    });
+}
+
+// Moves objects as copy-then-delete; steps marked skip stay where they are. Every copy is made
+// before any original is removed. If a copy fails, the originals are left untouched and copies
+// are removed again, except where they overwrote an object in existingKeys, which can't be restored.
+async function moveObjects(plan, level, { bucket, region }, existingKeys, onProgress) {
+    const steps = plan.filter(step => !step.skip);
+    const copied = [];
+    for (const { object, destinationKey } of steps) {
+        onProgress(`Copying ${object.relativePath}`, copied.length);
+        try {
+            if (destinationKey === object.key) throw new Error('Source and destination are the same');
+            await copyObject(object.key, destinationKey, object.size, level, { bucket, region });
+            copied.push(destinationKey);
+        } catch (error) {
+            console.error(`Error copying ${object.key}, rolling back:`, error);
+            const overwritten = copied.filter(key => existingKeys.has(key));
+            for (const key of copied.filter(key => !existingKeys.has(key))) {
+                onProgress(`Rolling back ${key}`, copied.length);
+                await Storage.remove(key, { level, bucket, region })
+                    .catch(removeError => console.error(`Error rolling back ${key}:`, removeError));
             }
+            return {
+                rolledBack: true,
+                failures: [
+                    { key: object.key, error: `${error.message}. Nothing was moved.` },
+                    ...overwritten.map(key => ({ key, error: 'Overwritten before the move failed; the object that was here can\'t be restored' }))
+                ]
+            };
         }
     }
 
-    async completeUpload() {
+    const failures = [];
+    for (const [index, { object }] of steps.entries()) {
+        onProgress(`Removing ${object.relativePath}`, steps.length + index);
         try {
-            if (!this.aborted && this.uploadedParts?.length) {
-                // Ensure parts are in order
-                const orderedParts = this.uploadedParts.sort((a, b) => a.PartNumber - b.PartNumber);
-    
-                try {
-                    // Complete the multipart upload
-                    const finalResponse = await Storage.put(
-                        this.path,
-                        this.file,
-                        {
-                            level: 'protected',
-                            contentType: this.file.type,
-                            progressCallback: (progress) => {
-                                const finalProgress = this.calculateProgress(this.numParts, progress.loaded);
-                                this.onProgress?.(finalProgress);
-                                this.stateManager.notifyProgress(this.uploadId, finalProgress);
-                            }
-                        }
-                    );
-    
-                    // Update final progress and state
-                    const finalProgress = this.calculateProgress(this.numParts, this.file.size);
-                    finalProgress.status = 'completed';
-                    
-                    this.stateManager.saveUploadState(this.uploadId, {
-                        ...this.stateManager.getUploadState(this.uploadId),
-                        ...finalProgress,
-                        completed: true,
-                        completedAt: Date.now(),
-                        key: finalResponse.key // Store the final S3 key
-                    });
-    
-                    // Clean up any temporary part files if needed
-                    await this.cleanupParts();
-    
-                } catch (error) {
-                    console.error('Failed to complete multipart upload:', error);
-                    throw error;
-                }
-            }
+            await Storage.remove(object.key, { level, bucket, region });
         } catch (error) {
-            console.error('Failed to complete upload:', error);
-            throw error;
-        } finally {
-            this.stateManager.unregisterUpload(this.uploadId);
+            console.error(`Error removing ${object.key}:`, error);
+            failures.push({ key: object.key, error: `Copied, but the original could not be removed: ${error.message}` });
         }
     }
-    
-    // Add this method to handle cleanup of temporary parts if needed
-    async cleanupParts() {
-        try {
-            for (const part of this.uploadedParts) {
-                try {
-                    // If you're storing temporary part files, clean them up here
-                    const partKey = `${this.path}_part${part.PartNumber}`;
-                    await Storage.remove(partKey, { level: 'protected' });
-                } catch (cleanupError) {
-                    console.warn(`Failed to cleanup part ${part.PartNumber}:`, cleanupError);
-                    // Continue with cleanup even if one part fails
-                }
-            }
-        } catch (error) {
-            console.warn('Error during parts cleanup:', error);
-            // Don't throw the error as the main upload was successful
-        }
-    }    
+    return { rolledBack: false, failures };
+}
 
-    async abort() {
-        this.aborted = true;
-        try {
-            if (this.s3UploadId) {
-                await Storage.cancel(this.path, { id: this.s3UploadId });
+// Reads an object's headers and tags. Tags are optional because reading them needs
+// s3:GetObjectTagging, which the default Amplify storage policy doesn't grant.
+async function getObjectDetails(key, level, { bucket, region }) {
+    const client = getS3Client(region);
+    const s3Key = await resolveS3Key(key, level);
+    const head = await client.send(new HeadObjectCommand({
+        Bucket: bucket,
+        Key: s3Key,
+        ChecksumMode: 'ENABLED'
+    }));
+
+    let tags = null;
+    let tagsError = null;
+    try {
+        const { TagSet } = await client.send(new GetObjectTaggingCommand({ Bucket: bucket, Key: s3Key }));
+        tags = TagSet;
+    } catch (error) {
+        console.error('Error reading object tags:', error);
+        tagsError = error.message;
+    }
+
+    return { bucket, s3Key, head, tags, tagsError };
+}
+
+// Content-Disposition for a download: filename* (RFC 5987) carries the UTF-8 name, and
+// browsers that don't read it fall back to an ASCII filename with other characters replaced
+function getAttachmentDisposition(fileName) {
+    const asciiName = fileName.replace(/[^\x20-\x7e]|["\\]/g, '_');
+    const encodedName = encodeURIComponent(fileName)
+        .replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+    return `attachment; filename="${asciiName}"; filename*=UTF-8''${encodedName}`;
+}
+
+// Saves an object through a presigned URL that forces a download instead of opening it
+async function downloadObject(key, level = 'protected', { bucket, region } = {}) {
+    const fileName = key.split('/').pop();
+    const url = await Storage.get(key, {
+        level,
+        bucket,
+        region,
+        contentDisposition: getAttachmentDisposition(fileName)
+    });
+    const link = document.createElement('a');
+    link.href = url;
+    link.rel = 'noopener';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+}
+
+/**
+ * ZIP Download Helpers
+ */
+// Opens a file on disk to stream the archive into; null when the browser can't write files directly
+async function openZipDestination(fileName) {
+    if (!window.showSaveFilePicker) return null;
+    const handle = await window.showSaveFilePicker({
+        suggestedName: fileName,
+        types: [{ description: 'ZIP archive', accept: { 'application/zip': ['.zip'] } }]
+    });
+    return handle.createWritable();
+}
+
+// Streams objects into a ZIP archive one at a time. Objects that can't be fetched are
+// reported and left out; onProgress receives (index, loadedBytes, status).
+async function streamZip(objects, writable, fileName, { level, bucket, region, signal, onProgress }) {
+    async function* entries() {
+        for (const [index, object] of objects.entries()) {
+            let response;
+            try {
+                const url = await Storage.get(object.key, { level, bucket, region });
+                response = await fetch(url, { signal });
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            } catch (error) {
+                if (signal.aborted) throw error;
+                console.error(`Error fetching ${object.key}:`, error);
+                onProgress(index, 0, 'failed', error.message);
+                continue;
             }
-            this.activeUploads.clear();
-            this.stateManager.removeUploadState(this.uploadId);
-        } catch (error) {
-            console.error('Error aborting upload:', error);
+
+            let loaded = 0;
+            let lastEmit = 0;
+            onProgress(index, 0, 'downloading');
+            const counter = new TransformStream({
+                transform(chunk, controller) {
+                    loaded += chunk.byteLength;
+                    const now = Date.now();
+                    if (now - lastEmit >= UPLOAD_CONFIG.PROGRESS_UPDATE_INTERVAL) {
+                        lastEmit = now;
+                        onProgress(index, loaded, 'downloading');
+                    }
+                    controller.enqueue(chunk);
+                },
+                flush() {
+                    onProgress(index, loaded, 'done');
+                }
+            });
+
+            yield {
+                name: object.relativePath,
+                lastModified: object.lastModified ? new Date(object.lastModified) : new Date(),
+                input: response.body.pipeThrough(counter)
+            };
         }
     }
 
-    async handleError(error) {
-        console.error('Upload error:', error);
-        const errorState = {
-            ...this.stateManager.getUploadState(this.uploadId),
-            failed: true,
-            error: error.message,
-            failedAt: Date.now(),
-            status: 'error'
-        };
-        this.stateManager.saveUploadState(this.uploadId, errorState);
-        throw error;
+    const archive = downloadZip(entries());
+    if (writable) {
+        await archive.body.pipeTo(writable, { signal });
+        return;
     }
 
-    updateProgress(completedParts) {
-        if (!this.aborted) {
-            const progressInfo = this.calculateProgress(completedParts, this.bytesUploaded);
-            this.onProgress?.(progressInfo);
-            this.stateManager.notifyProgress(this.uploadId, progressInfo);
+    // Without a writable file the archive has to be assembled before it can be saved
+    const url = URL.createObjectURL(await archive.blob());
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+}
+
+/**
+ * Share Link Helpers
+ */
+// Links are signed with the temporary Cognito credentials, which last about an hour, so
+// nothing longer could be honoured
+const SHARE_EXPIRY_OPTIONS = [
+    { value: String(15 * 60), label: '15 minutes' },
+    { value: String(30 * 60), label: '30 minutes' },
+    { value: String(60 * 60), label: '1 hour (maximum)' }
+];
+
+// Presigned URLs stop working when the credentials that signed them expire, whichever comes first
+async function createShareLink(item, expiresIn, level, { bucket, region }) {
+    const [url, credentials] = await Promise.all([
+        Storage.get(item.key, { level, bucket, region, expires: expiresIn }),
+        Auth.currentCredentials()
+    ]);
+    const requestedExpiry = Date.now() + expiresIn * 1000;
+    const credentialsExpiry = credentials.expiration ? new Date(credentials.expiration).getTime() : requestedExpiry;
+    return {
+        id: `link-${Date.now()}-${Math.random().toString(36).slice(2)}`,
+        bucket,
+        key: item.key,
+        level,
+        name: item.displayName,
+        url,
+        createdAt: Date.now(),
+        requestedExpiry,
+        expiresAt: Math.min(requestedExpiry, credentialsExpiry)
+    };
+}
+
+// Only what a link points to and when it expires is kept; the signed URL is a bearer
+// credential, so it lives in memory for the session that created it and is never stored
+function withoutUrl({ url, ...link }) {
+    return link;
+}
+
+function loadSharedLinks(username) {
+    try {
+        return (JSON.parse(localStorage.getItem(`sharedLinks:${username}`)) || []).map(withoutUrl);
+    } catch (error) {
+        console.error('Error loading shared links:', error);
+        return [];
+    }
+}
+
+function saveSharedLinks(username, links) {
+    localStorage.setItem(`sharedLinks:${username}`, JSON.stringify(links.map(withoutUrl)));
+}
+
+/**
+ * Upload Options Helpers
+ */
+const EMPTY_UPLOAD_OPTIONS = { metadata: [], tags: [] };
+const MAX_OBJECT_TAGS = 10;
+const MAX_METADATA_SIZE = 2048; // S3 limit on user metadata keys plus values, in bytes
+const METADATA_KEY_PATTERN = /^[A-Za-z0-9!#$%&'*+.^_`|~-]+$/; // Metadata keys travel as HTTP header names
+const TAG_PATTERN = /^[\p{L}\p{Z}\p{N}_.:/=+\-@]*$/u;
+
+// Editor rows of { key, value } as a plain object, leaving out blank rows
+function toAttributeMap(rows) {
+    return Object.fromEntries(rows
+        .filter(row => row.key.trim())
+        .map(row => [row.key.trim(), row.value]));
+}
+
+// S3 takes tags on upload URL-encoded, like a query string
+function encodeTags(tags) {
+    return Object.entries(tags)
+        .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
+        .join('&');
+}
+
+// Per-row errors for the metadata and tag editors, plus limits that apply to the whole set
+function validateUploadOptions({ metadata, tags }) {
+    const isDuplicate = (rows, index) => rows.findIndex(row => row.key.trim() === rows[index].key.trim()) !== index;
+
+    const errors = {
+        metadata: metadata.map((row, index) => {
+            if (!row.key.trim()) return 'Enter a key';
+            if (!METADATA_KEY_PATTERN.test(row.key.trim())) return 'Use letters, numbers and - _ . only';
+            if (!/^[\x20-\x7E]*$/.test(row.value)) return 'Values must be plain ASCII text';
+            if (isDuplicate(metadata, index)) return 'Duplicate key';
+            return null;
+        }),
+        tags: tags.map((row, index) => {
+            if (!row.key.trim()) return 'Enter a key';
+            if (row.key.length > 128 || row.value.length > 256) return 'Keys are limited to 128 characters and values to 256';
+            if (!TAG_PATTERN.test(row.key) || !TAG_PATTERN.test(row.value)) return 'Use letters, numbers, spaces and _ . : / = + - @ only';
+            if (isDuplicate(tags, index)) return 'Duplicate key';
+            return null;
+        }),
+        metadataSize: null,
+        tagCount: null
+    };
+
+    const metadataSize = metadata.reduce((total, row) => total + row.key.trim().length + row.value.length, 0);
+    if (metadataSize > MAX_METADATA_SIZE) {
+        errors.metadataSize = `User metadata is limited to ${MAX_METADATA_SIZE} bytes (currently ${metadataSize})`;
+    }
+    if (tags.length > MAX_OBJECT_TAGS) {
+        errors.tagCount = `An object can have at most ${MAX_OBJECT_TAGS} tags`;
+    }
+    return errors;
+}
+
+function hasOptionErrors(errors) {
+    return [...errors.metadata, ...errors.tags, errors.metadataSize, errors.tagCount].some(Boolean);
+}
+
+/**
+ * Upload Validation Rules
+ */
+// Defaults keep executables and OS clutter out of the bucket. REACT_APP_UPLOAD_RULES takes a JSON
+// object whose fields replace these, for example {"allowedMimeTypes": ["image/*"], "maxFiles": 50}.
+const DEFAULT_UPLOAD_RULES = {
+    allowedExtensions: [], // Empty allows every extension that isn't blocked
+    blockedExtensions: ['exe', 'msi', 'bat', 'cmd', 'com', 'scr', 'pif', 'vbs', 'ps1', 'dll', 'jar', 'app', 'dmg'],
+    allowedMimeTypes: [], // Exact types or wildcards such as "image/*"
+    blockedMimeTypes: ['application/x-msdownload', 'application/x-msdos-program', 'application/x-ms-installer'],
+    maxFileSize: UPLOAD_CONFIG.MAX_FILE_SIZE,
+    sizeLimits: {}, // Per extension or MIME type, e.g. {"image/*": "25 MB", "mp4": "10 GB"}
+    blockedNamePatterns: ['^\\.DS_Store$', '^Thumbs\\.db$', '^desktop\\.ini$', '^~\\$'],
+    allowedNamePattern: null, // Regular expression every file name must match
+    maxFiles: 1000
+};
+
+// Extensions are compared lowercased and without the dot, however they were configured
+function normalizeExtensions(extensions) {
+    return extensions.map(extension => String(extension).replace(/^\./, '').toLowerCase());
+}
+
+function loadUploadRules(config = process.env.REACT_APP_UPLOAD_RULES) {
+    if (!config) return DEFAULT_UPLOAD_RULES;
+    try {
+        const rules = { ...DEFAULT_UPLOAD_RULES, ...JSON.parse(config) };
+        // Checked once here so a bad pattern or limit falls back to the defaults instead of
+        // failing later, or, for a size that doesn't parse, silently allowing any size
+        [...rules.blockedNamePatterns, rules.allowedNamePattern].filter(Boolean).forEach(pattern => new RegExp(pattern));
+        Object.entries({ maxFileSize: rules.maxFileSize, ...rules.sizeLimits }).forEach(([field, limit]) => {
+            if (!(toBytes(limit) > 0)) throw new Error(`${field} must be a positive size, got ${JSON.stringify(limit)}`);
+        });
+        if (!Number.isInteger(rules.maxFiles) || rules.maxFiles < 1) {
+            throw new Error(`maxFiles must be a positive whole number, got ${JSON.stringify(rules.maxFiles)}`);
         }
+        return {
+            ...rules,
+            allowedExtensions: normalizeExtensions(rules.allowedExtensions),
+            blockedExtensions: normalizeExtensions(rules.blockedExtensions)
+        };
+    } catch (error) {
+        console.error('Invalid REACT_APP_UPLOAD_RULES configuration:', error);
+        return DEFAULT_UPLOAD_RULES;
     }
+}
 
-    logProgress(progressInfo) {
-        console.log(`
-            Upload Progress for ${progressInfo.filename}:
-            - Progress: ${progressInfo.progress.toFixed(2)}%
-            - Parts: ${progressInfo.loadedParts}/${progressInfo.totalParts}
-            - Uploaded: ${formatBytes(progressInfo.bytesUploaded)}/${formatBytes(progressInfo.totalSize)}
-            - Speed: ${progressInfo.uploadSpeed}
-            - Average Speed: ${progressInfo.averageSpeed}
-            - ETA: ${progressInfo.estimatedTimeRemaining}
-            - Elapsed Time: ${progressInfo.elapsedTime}
-            - Status: ${progressInfo.status}
-            - Part Statistics: 
-                Completed: ${progressInfo.statistics.completed}
-                In Progress: ${progressInfo.statistics.inProgress}
-                Failed: ${progressInfo.statistics.failed}
-                Pending: ${progressInfo.statistics.pending}
-        `);
+const UPLOAD_RULES = loadUploadRules();
+
+function matchesMimeType(type, pattern) {
+    return pattern.endsWith('/*') ? type.startsWith(pattern.slice(0, -1)) : type === pattern;
+}
+
+// Limits may be byte counts or sizes such as "25 MB"
+function toBytes(limit) {
+    return typeof limit === 'number' ? limit : parseSize(String(limit));
+}
+
+// The first rule a file breaks, as a reason to show next to it, or null
+function validateUploadFile(file, path, rules = UPLOAD_RULES) {
+    const name = path.split('/').pop();
+    const extension = getExtension(name);
+    const type = file.type || guessContentType(name);
+
+    if (rules.blockedNamePatterns.some(pattern => new RegExp(pattern, 'i').test(name))) {
+        return `${name} is on the list of blocked file names`;
+    }
+    if (rules.allowedNamePattern && !new RegExp(rules.allowedNamePattern).test(name)) {
+        return `File name doesn't match ${rules.allowedNamePattern}`;
+    }
+    if (rules.blockedExtensions.includes(extension) ||
+        (rules.allowedExtensions.length > 0 && !rules.allowedExtensions.includes(extension))) {
+        return extension ? `.${extension} files aren't allowed` : 'Files without an extension aren\'t allowed';
+    }
+    if (rules.blockedMimeTypes.some(pattern => matchesMimeType(type, pattern)) ||
+        (rules.allowedMimeTypes.length > 0 && !rules.allowedMimeTypes.some(pattern => matchesMimeType(type, pattern)))) {
+        return `${type} files aren't allowed`;
     }
 
-    async retry() {
-        if (this.aborted) return false;
-        
-        const failedParts = this.parts.filter(part => part.error);
-        for (const part of failedParts) {
-            if (this.aborted) break;
-            
-            const start = (part.partNumber - 1) * UPLOAD_CONFIG.CHUNK_SIZE;
-            const end = Math.min(start + UPLOAD_CONFIG.CHUNK_SIZE, this.file.size);
-            const chunk = this.file.slice(start, end);
-            
-            try {
-                await this.uploadPart(chunk, part.partNumber);
-            } catch (error) {
-                console.error(`Failed to retry part ${part.partNumber}:`, error);
-                throw error;
+    const typeLimit = Object.entries(rules.sizeLimits)
+        .find(([key]) => key.includes('/') ? matchesMimeType(type, key) : key.toLowerCase() === extension);
+    const maxSize = Math.min(toBytes(rules.maxFileSize), typeLimit ? toBytes(typeLimit[1]) : Infinity);
+    if (file.size > maxSize) {
+        return `Larger than the ${formatBytes(maxSize)} limit${typeLimit ? ` for ${typeLimit[0]}` : ''}`;
+    }
+    return null;
+}
+
+// Reasons for a whole selection, in order; files past the batch limit are flagged too
+function validateUploadBatch(files, paths, rules = UPLOAD_RULES) {
+    let accepted = 0;
+    return files.map((file, index) => {
+        const reason = validateUploadFile(file, paths[index], rules);
+        if (reason) return reason;
+        accepted += 1;
+        return accepted > rules.maxFiles ? `Over the limit of ${rules.maxFiles} files per upload` : null;
+    });
+}
+
+/**
+ * Upload Conflict Helpers
+ */
+const UPLOAD_CONFLICT_POLICIES = [
+    { value: 'skip', label: 'Skip', description: 'Keep the existing object and leave the file out.' },
+    { value: 'overwrite', label: 'Overwrite', description: 'Replace the existing object.' },
+    { value: 'rename', label: 'Keep both', description: 'Upload under a name with a suffix, such as "report (1).csv".' },
+    { value: 'changed', label: 'Overwrite if changed', description: 'Replace the existing object only if the local file is newer or a different size.' }
+];
+
+// Objects stored next to the batch's keys, keyed like upload targets. Each distinct parent folder
+// is listed one level deep, so the cost follows the batch rather than the tree under the folder.
+async function listExistingObjects(keys, level, { bucket, region }) {
+    const client = getS3Client(region);
+    const levelPrefix = await resolveS3Key('', level);
+    const existing = new Map();
+    for (const parent of new Set(keys.map(getParentPath))) {
+        let continuationToken;
+        do {
+            const response = await client.send(new ListObjectsV2Command({
+                Bucket: bucket,
+                Prefix: levelPrefix + (parent ? `${parent}/` : ''),
+                Delimiter: '/',
+                ContinuationToken: continuationToken
+            }));
+            (response.Contents || []).forEach(object => {
+                const key = object.Key.slice(levelPrefix.length);
+                existing.set(key, { key, size: object.Size, lastModified: object.LastModified });
+            });
+            continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+        } while (continuationToken);
+    }
+    return existing;
+}
+
+// Dry run of a batch of { id, key, file }: the outcome for each file under the batch
+// policy or its own override. Renamed files take the first " (n)" suffix nobody else uses.
+function planUploads(files, existing, policy, overrides = {}) {
+    const taken = new Set([...existing.keys(), ...files.map(({ key }) => key)]);
+    return files.map(({ id, key, file }) => {
+        const current = existing.get(key);
+        if (!current) return { id, key, outcome: 'upload' };
+
+        switch (overrides[id] || policy) {
+            case 'skip':
+                return { id, key, outcome: 'skip', existing: current };
+            case 'rename': {
+                let renamed = key;
+                for (let n = 1; taken.has(renamed); n++) {
+                    renamed = withSuffix(key, n, false);
+                }
+                taken.add(renamed);
+                return { id, key: renamed, outcome: 'rename', existing: current };
+            }
+            case 'changed': {
+                const changed = file.size !== current.size ||
+                    file.lastModified > new Date(current.lastModified).getTime();
+                return { id, key, outcome: changed ? 'overwrite' : 'skip', existing: current };
             }
+            default:
+                return { id, key, outcome: 'overwrite', existing: current };
         }
-        
-        return !this.aborted;
+    });
+}
+
+/**
+ * Custom Event for Upload Progress
+ */
+class UploadProgressEvent extends CustomEvent {
+    constructor(uploadId, progress) {
+        super('upload-progress', {
+            detail: {
+                type: 'upload-progress',
+                uploadId,
+                progress
+            }
+        });
     }
+}
 
-    async retryPart(partNumber) {
-        const part = this.parts[partNumber - 1];
-        if (!part) {
-            throw new Error(`Invalid part number: ${partNumber}`);
-        }
-    
-        const chunk = this.file.slice(part.startByte, part.endByte);
-        console.log(`Retrying upload for part ${partNumber}`);
-    
-        try {
-            const result = await this.uploadPart(chunk, partNumber);
-            this.updatePartProgress(partNumber, 100, 'completed');
-            return result;
-        } catch (error) {
-            console.error(`Retry failed for part ${partNumber}:`, error);
-            throw error;
-        }
+/**
+ * Error Boundary Component
+ */
+class ErrorBoundary extends React.Component {
+    constructor(props) {
+        super(props);
+        this.state = { hasError: false, error: null };
     }
 
-    async retryFailedParts() {
-        const failedParts = this.parts.filter(part => 
-            part.status === 'error' || part.status === 'retrying'
-        );
-    
-        if (failedParts.length === 0) {
-            console.log('No failed parts to retry');
-            return true;
+    static getDerivedStateFromError(error) {
+        return { hasError: true, error };
+    }
+
+    componentDidCatch(error, errorInfo) {
+        console.error('Content error:', error, errorInfo);
+    }
+
+    render() {
+        if (this.state.hasError) {
+            return (
+                <Container>
+                    <Alert type="error" header="Error">
+                        An error occurred. Please refresh the page or try again.
+                        {this.state.error && (
+                            <div>Error: {this.state.error.message}</div>
+                        )}
+                        <Button
+                            onClick={() => {
+                                this.setState({ hasError: false });
+                                window.location.reload();
+                            }}
+                        >
+                            Refresh Page
+                        </Button>
+                    </Alert>
+                </Container>
+            );
         }
-    
-        console.log(`Retrying ${failedParts.length} failed parts`);
-        
-        const retryPromises = failedParts.map(part => 
-            this.retryPart(part.partNumber)
-        );
-    
+
+        return this.props.children;
+    }
+}
+/**
+ * Upload State Manager Class
+ */
+class UploadStateManager {
+    constructor() {
+        this.lastCleanupTime = null;
+        this.isCleanupRunning = false;
+        this.storagePrefix = 'upload-';
+        this.progressListeners = new Map();
+        this.activeUploads = new Map();
+    }
+
+    init() {
+        this.scheduleCleanup();
+        this.handleStorage = (e) => {
+            if (e.key === 'lastCleanupTime') {
+                this.lastCleanupTime = parseInt(e.newValue);
+            }
+        };
+        this.handleVisibilityChange = () => {
+            if (document.visibilityState === 'visible') {
+                this.checkAndCleanup();
+            }
+        };
+        window.addEventListener('storage', this.handleStorage);
+        document.addEventListener('visibilitychange', this.handleVisibilityChange);
+        this.checkAndCleanup();
+    }
+
+    // Undoes init; running uploads are forgotten, so this is only for when the app unmounts
+    cleanup() {
+        clearInterval(this.cleanupTimer);
+        window.removeEventListener('storage', this.handleStorage);
+        document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+        this.progressListeners.clear();
+        this.activeUploads.clear();
+    }
+
+    scheduleCleanup() {
+        this.cleanupTimer = setInterval(() => this.checkAndCleanup(), 
+            UPLOAD_CONFIG.CLEANUP.CHECK_INTERVAL_MINUTES * 60 * 1000);
+    }
+
+    addProgressListener(uploadId, callback) {
+        this.progressListeners.set(uploadId, callback);
+    }
+
+    removeProgressListener(uploadId) {
+        this.progressListeners.delete(uploadId);
+    }
+
+    notifyProgress(uploadId, progress) {
+        const callback = this.progressListeners.get(uploadId);
+        if (callback) {
+            callback(progress);
+        }
+        window.dispatchEvent(new UploadProgressEvent(uploadId, progress));
+    }
+
+    async checkAndCleanup() {
+        if (this.isCleanupRunning) return;
+
+        const now = Date.now();
+        const lastCleanup = parseInt(localStorage.getItem('lastCleanupTime')) || 0;
+        const cleanupNeeded = (now - lastCleanup) > 
+            (UPLOAD_CONFIG.CLEANUP.CHECK_INTERVAL_MINUTES * 60 * 1000);
+
+        if (cleanupNeeded) {
+            this.isCleanupRunning = true;
+            try {
+                await this.performCleanup();
+                localStorage.setItem('lastCleanupTime', now.toString());
+                this.lastCleanupTime = now;
+            } finally {
+                this.isCleanupRunning = false;
+            }
+        }
+    }
+
+    async performCleanup() {
+        console.log('Starting cleanup operation...');
+        const states = this.getAllUploadStates();
+        const now = Date.now();
+        const staleThreshold = now - (UPLOAD_CONFIG.CLEANUP.STALE_THRESHOLD_HOURS * 60 * 60 * 1000);
+
+        for (let i = 0; i < states.length; i += UPLOAD_CONFIG.CLEANUP.BATCH_SIZE) {
+            const batch = states.slice(i, i + UPLOAD_CONFIG.CLEANUP.BATCH_SIZE);
+            
+            for (const { key, state } of batch) {
+                if (this.shouldRemoveItem(state, staleThreshold)) {
+                    try {
+                        if (state?.uploadId) {
+                            await this.abortMultipartUpload(state);
+                        }
+                        localStorage.removeItem(key);
+                        console.log(`Cleaned up stale upload state: ${key}`);
+                    } catch (error) {
+                        console.error(`Cleanup error for ${key}:`, error);
+                    }
+                }
+            }
+
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+    }
+
+    // Saved state is stale once it hasn't been written for longer than the threshold
+    shouldRemoveItem(state, staleThreshold) {
+        if (!state) return true;
+        return (state.lastUpdated || state.startTime || 0) < staleThreshold;
+    }
+
+    async abortMultipartUpload(state) {
+        if (!state.uploadId || !state.path || state.completed) return;
+        try {
+            const upload = this.activeUploads.get(state.uploadId);
+            if (upload && upload.abort) {
+                await upload.abort();
+            } else if (state.s3UploadId && state.key) {
+                await getS3Client(state.region).send(new AbortMultipartUploadCommand({
+                    Bucket: state.bucket,
+                    Key: state.key,
+                    UploadId: state.s3UploadId
+                }));
+            }
+            this.activeUploads.delete(state.uploadId);
+        } catch (error) {
+            console.error('Error aborting multipart upload:', error);
+        }
+    }
+
+    registerUpload(uploadId, handler) {
+        this.activeUploads.set(uploadId, handler);
+    }
+
+    unregisterUpload(uploadId) {
+        this.activeUploads.delete(uploadId);
+    }
+
+    saveUploadState(uploadId, state) {
+        const updatedState = {
+            ...state,
+            lastUpdated: Date.now()
+        };
+        localStorage.setItem(`${this.storagePrefix}${uploadId}`, JSON.stringify(updatedState));
+        this.notifyProgress(uploadId, updatedState);
+    }
+
+    getUploadState(uploadId) {
+        const state = localStorage.getItem(`${this.storagePrefix}${uploadId}`);
+        return state ? JSON.parse(state) : null;
+    }
+
+    removeUploadState(uploadId) {
+        localStorage.removeItem(`${this.storagePrefix}${uploadId}`);
+        this.activeUploads.delete(uploadId);
+    }
+
+    getAllUploadStates() {
+        const states = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key?.startsWith(this.storagePrefix)) {
+                try {
+                    const state = JSON.parse(localStorage.getItem(key));
+                    states.push({ key, state, timestamp: state.startTime || 0 });
+                } catch (error) {
+                    states.push({ key, state: null, timestamp: 0 });
+                }
+            }
+        }
+        return states;
+    }
+
+    isUploading() {
+        return this.activeUploads.size > 0;
+    }
+
+    // Multipart uploads that were started but never completed, e.g. before a page reload
+    // A failed handler stays registered so its card can retry, but it is listed here as well
+    getResumableUploads() {
+        return this.getAllUploadStates()
+            .map(({ state }) => state)
+            .filter(state => state?.s3UploadId &&
+                !state.completed &&
+                (state.failed || !this.activeUploads.has(state.uploadId)));
+    }
+
+    getActiveUploads() {
+        return Array.from(this.activeUploads.values());
+    }
+}
+
+// Export the UploadStateManager class
+export { UploadStateManager };
+
+/**
+ * Concurrency Limiter Class
+ */
+class ConcurrencyLimiter {
+    constructor(limit) {
+        this.limit = limit;
+        this.active = 0;
+        this.waiting = [];
+    }
+
+    // Resolves with a release function once a slot is free
+    acquire() {
+        return new Promise(resolve => {
+            const grant = () => {
+                this.active++;
+                let released = false;
+                resolve(() => {
+                    if (released) return;
+                    released = true;
+                    this.release();
+                });
+            };
+            if (this.active < this.limit) {
+                grant();
+            } else {
+                this.waiting.push(grant);
+            }
+        });
+    }
+
+    release() {
+        this.active--;
+        while (this.active < this.limit && this.waiting.length > 0) {
+            this.waiting.shift()();
+        }
+    }
+}
+
+// Shared by every upload so the total number of part requests stays bounded
+const partLimiter = new ConcurrencyLimiter(UPLOAD_CONFIG.MAX_PARTS_IN_FLIGHT);
+
+/**
+ * Upload Queue Class
+ */
+const QUEUE_PRIORITIES = ['high', 'normal', 'low'];
+
+class UploadQueue {
+    constructor(runTask, concurrency = UPLOAD_CONFIG.CONCURRENT_FILES) {
+        this.runTask = runTask;
+        this.concurrency = concurrency;
+        this.items = [];
+        this.running = 0;
+        this.listeners = new Set();
+        this.idleResolvers = [];
+    }
+
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify() {
+        const items = this.getItems();
+        this.listeners.forEach(listener => listener(items));
+    }
+
+    getItems() {
+        return this.items.map(item => ({ ...item }));
+    }
+
+    isBusy() {
+        return this.items.length > 0;
+    }
+
+    enqueue(entries) {
+        entries.forEach(entry => {
+            this.items.push({ ...entry, priority: 'normal', status: 'queued' });
+        });
+        this.schedule();
+    }
+
+    // Takes a queued item out before it starts; returns it, or null if it is already running
+    remove(id) {
+        const removed = this.items.find(item => item.id === id && item.status === 'queued');
+        if (!removed) return null;
+        this.items = this.items.filter(item => item !== removed);
+        this.schedule();
+        return removed;
+    }
+
+    // Moves a queued item up (-1) or down (+1) past its queued neighbour
+    move(id, offset) {
+        const queued = this.items.filter(item => item.status === 'queued');
+        const from = queued.findIndex(item => item.id === id);
+        const to = from + offset;
+        if (from === -1 || to < 0 || to >= queued.length) return;
+
+        const a = this.items.indexOf(queued[from]);
+        const b = this.items.indexOf(queued[to]);
+        [this.items[a], this.items[b]] = [this.items[b], this.items[a]];
+        this.notify();
+    }
+
+    // Priority only orders items that haven't started
+    setPriority(id, priority) {
+        const item = this.items.find(item => item.id === id && item.status === 'queued');
+        if (item && QUEUE_PRIORITIES.includes(priority)) {
+            item.priority = priority;
+            this.notify();
+        }
+    }
+
+    // Highest priority first, queue order within a priority
+    next() {
+        const queued = this.items.filter(item => item.status === 'queued');
+        for (const priority of QUEUE_PRIORITIES) {
+            const item = queued.find(item => item.priority === priority);
+            if (item) return item;
+        }
+        return null;
+    }
+
+    schedule() {
+        let item;
+        while (this.running < this.concurrency && (item = this.next())) {
+            const current = item;
+            current.status = 'running';
+            this.running++;
+            Promise.resolve()
+                .then(() => this.runTask(current))
+                .catch(error => console.error(`Queued upload ${current.label} failed:`, error))
+                .finally(() => {
+                    this.running--;
+                    this.items = this.items.filter(entry => entry !== current);
+                    this.schedule();
+                });
+        }
+        this.notify();
+
+        if (!this.isBusy()) {
+            this.idleResolvers.forEach(resolve => resolve());
+            this.idleResolvers = [];
+        }
+    }
+
+    onIdle() {
+        if (!this.isBusy()) return Promise.resolve();
+        return new Promise(resolve => this.idleResolvers.push(resolve));
+    }
+}
+
+/**
+ * Enhanced MultipartUploadHandler Class
+ */
+class MultipartUploadHandler {
+    constructor(file, path, stateManager, onProgress, options = {}) {
+        this.file = file;
+        this.path = path;
+        this.level = options.level || 'protected'; // Amplify access level the key is resolved under
+        this.metadata = options.metadata || {}; // User metadata, sent as x-amz-meta-* headers
+        this.tags = options.tags || {}; // Object tags, applied when the upload is created
+        this.stateManager = stateManager;
+        this.onProgress = onProgress;
+        this.uploadId = `upload-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+        this.bucket = options.bucket; // Captured when the file was queued, so navigating away doesn't move it
+        this.region = options.region;
+        this.key = null; // Full S3 object key, resolved from path and access level
+        this.partSize = getPartSize(file.size);
+        this.numParts = Math.max(1, Math.ceil(file.size / this.partSize));
+        this.startTime = Date.now();
+        this.bytesUploaded = 0;
+        this.uploadSpeed = 0;
+        this.lastSpeedUpdate = Date.now();
+        this.lastProgressEmit = 0;
+        this.resumedBytes = 0; // Bytes uploaded in an earlier session, excluded from speed
+        this.activeUploads = new Set();
+        this.partRequests = new Map(); // In-flight XHRs by part number, so abort can stop them
+        this.aborted = false;
+        this.paused = false;
+        this.resumed = false;
+        this.pausedUntil = null; // Promise paused workers wait on before taking another part
+        this.resumeWorkers = null; // Resolves pausedUntil
+        this.s3UploadId = null; // To store the S3 multipart upload ID
+        this.uploadedParts = []; // { PartNumber, ETag, ChecksumSHA256 } for each part S3 has accepted
+        this.singlePut = file.size <= UPLOAD_CONFIG.SINGLE_PUT_MAX_SIZE; // One PutObject instead of multipart
+        this.putController = null; // Aborts the PutObject request of a single-put upload
+        this.checksum = null; // SHA-256 of a single-put file, or the composite checksum of a multipart one
+        this.partChecksums = []; // SHA-256 of each part, by part index, filled in as parts are sent
+        this.verification = 'pending'; // pending, verified, mismatch or unavailable
+        this.retryTimeouts = {};
+        this.maxRetryDelay = 32000; // 32 seconds
+        this.initializePartTracking();
+    }
+
+    initializePartTracking() {
+        this.parts = Array(this.numParts).fill(null).map((_, index) => ({
+            partNumber: index + 1,
+            startByte: index * this.partSize,
+            endByte: Math.min((index + 1) * this.partSize, this.file.size),
+            progress: 0,
+            status: 'pending',
+            completed: false,
+            inProgress: false,
+            error: null,
+            startTime: null,
+            endTime: null,
+            bytesUploaded: 0,
+            size: Math.min(this.partSize, this.file.size - (index * this.partSize))
+        }));
+    }
+
+    // Rebuilds a handler from saved state so only the missing parts get uploaded
+    static fromState(file, state, stateManager, onProgress) {
+        const handler = new MultipartUploadHandler(file, state.path, stateManager, onProgress, {
+            level: state.level,
+            bucket: state.bucket,
+            region: state.region || awsconfig.aws_user_files_s3_bucket_region,
+            metadata: state.metadata,
+            tags: state.tags
+        });
+        handler.uploadId = state.uploadId;
+        handler.s3UploadId = state.s3UploadId;
+        handler.key = state.key;
+        handler.partSize = state.partSize;
+        handler.singlePut = false;
+        handler.numParts = Math.max(1, Math.ceil(file.size / handler.partSize));
+        handler.initializePartTracking();
+        handler.applyUploadedParts(state.uploadedParts || []);
+        handler.resumed = true;
+        return handler;
+    }
+
+    applyUploadedParts(uploadedParts) {
+        this.initializePartTracking();
+        // S3 checked each stored part against the digest hashed from the local part when it was sent,
+        // so that digest stands in for the part; a part stored without one is uploaded again
+        this.uploadedParts = uploadedParts
+            .filter(part => part.ChecksumSHA256)
+            .sort((a, b) => a.PartNumber - b.PartNumber);
+        this.partChecksums = [];
+        this.uploadedParts.forEach(part => {
+            this.partChecksums[part.PartNumber - 1] = part.ChecksumSHA256;
+            this.updatePartProgress(part.PartNumber, 100, 'completed');
+        });
+        this.resumedBytes = this.parts
+            .filter(part => part.completed)
+            .reduce((total, part) => total + part.size, 0);
+        this.bytesUploaded = this.resumedBytes;
+    }
+
+    // S3 is the source of truth for which parts arrived; local state may lag behind it
+    async syncUploadedParts() {
+        try {
+            const uploadedParts = [];
+            let partNumberMarker;
+            do {
+                const response = await getS3Client(this.region).send(new ListPartsCommand({
+                    Bucket: this.bucket,
+                    Key: this.key,
+                    UploadId: this.s3UploadId,
+                    PartNumberMarker: partNumberMarker
+                }));
+                (response.Parts || []).forEach(part => uploadedParts.push({
+                    PartNumber: part.PartNumber,
+                    ETag: part.ETag,
+                    ChecksumSHA256: part.ChecksumSHA256
+                }));
+                partNumberMarker = response.IsTruncated ? response.NextPartNumberMarker : undefined;
+            } while (partNumberMarker);
+            this.applyUploadedParts(uploadedParts);
+        } catch (error) {
+            // Aborted, or expired by a lifecycle rule: no part can be added, so the saved state is useless
+            if (error.name === 'NoSuchUpload') {
+                this.stateManager.removeUploadState(this.uploadId);
+                this.stateDiscarded = true;
+                throw new Error('This upload no longer exists on S3, because it was aborted or expired. Start the upload again.');
+            }
+            console.warn('Could not list uploaded parts, using saved state:', error);
+            this.applyUploadedParts(this.uploadedParts);
+        }
+    }
+
+    updatePartProgress(partNumber, progress, status, error = null) {
+        const partIndex = partNumber - 1;
+        if (this.parts[partIndex]) {
+            const now = Date.now();
+            this.parts[partIndex] = {
+                ...this.parts[partIndex],
+                progress,
+                status,
+                inProgress: status === 'uploading' || status === 'hashing',
+                completed: status === 'completed',
+                error: error,
+                startTime: this.parts[partIndex].startTime || (status === 'uploading' ? now : null),
+                endTime: status === 'completed' ? now : null,
+                bytesUploaded: (progress / 100) * this.parts[partIndex].size
+            };
+        }
+    }
+
+    updateOverallProgress() {
+        const totalBytes = this.file.size;
+        const uploadedBytes = this.parts.reduce((total, part) => 
+            total + (part.size * (part.progress / 100)), 0
+        );
+        
+        const progress = this.calculateProgress(
+            this.parts.filter(p => p.completed).length,
+            uploadedBytes
+        );
+        
+        this.onProgress?.(progress);
+        this.stateManager.notifyProgress(this.uploadId, progress);
+    }    
+
+    calculateProgress(completedParts, bytesUploaded) {
+        const now = Date.now();
+        const elapsedTime = (now - this.startTime) / 1000; // in seconds
+        const totalSize = this.file.size;
+        
+        // Calculate upload speed (bytes per second)
+        const timeSinceLastUpdate = (now - this.lastSpeedUpdate) / 1000;
+        if (timeSinceLastUpdate >= 1) {
+            this.uploadSpeed = (bytesUploaded - this.bytesUploaded) / timeSinceLastUpdate;
+            this.bytesUploaded = bytesUploaded;
+            this.lastSpeedUpdate = now;
+        }
+
+        // Calculate average speed
+        const averageSpeed = (bytesUploaded - this.resumedBytes) / elapsedTime;
+
+        // Estimate remaining time
+        const remainingBytes = totalSize - bytesUploaded;
+        const estimatedTimeRemaining = this.uploadSpeed ? remainingBytes / this.uploadSpeed : 0;
+
+        // Calculate part statistics
+        const completedPartsCount = this.parts.filter(p => p.completed).length;
+        const inProgressPartsCount = this.parts.filter(p => p.inProgress).length;
+        const hashingPartsCount = this.parts.filter(p => p.status === 'hashing').length;
+        const failedPartsCount = this.parts.filter(p => p.error).length;
+
+        // An empty file has no bytes to count, so it is done once its only part is
+        const percentage = totalSize > 0
+            ? (bytesUploaded / totalSize) * 100
+            : (completedPartsCount === this.numParts ? 100 : 0);
+
+        return {
+            id: this.uploadId,
+            filename: this.file.name,
+            progress: percentage,
+            percentage,
+            loadedParts: completedPartsCount,
+            totalParts: this.numParts,
+            bytesUploaded,
+            totalSize,
+            uploadSpeed: formatRate(this.uploadSpeed),
+            averageSpeed: formatRate(averageSpeed),
+            estimatedTimeRemaining: formatTime(estimatedTimeRemaining),
+            elapsedTime: formatTime(elapsedTime),
+            status: this.aborted ? 'aborted' : this.paused ? 'paused' : 'in-progress',
+            resumed: this.resumed,
+            multipart: !this.singlePut && this.numParts > 1,
+            checksum: this.checksum,
+            verification: this.verification,
+            parts: this.parts,
+            statistics: {
+                completed: completedPartsCount,
+                inProgress: inProgressPartsCount,
+                hashing: hashingPartsCount,
+                failed: failedPartsCount,
+                pending: this.numParts - (completedPartsCount + inProgressPartsCount + failedPartsCount)
+            }
+        };
+    }
+
+    async start() {
+        // Cancelled before it got going, for example while waiting behind other files
+        if (this.aborted) return false;
+        try {
+            console.log('Starting upload for:', this.path);
+            this.stateManager.registerUpload(this.uploadId, this);
+            if (this.singlePut) {
+                // Small enough to hash up front; multipart parts are hashed one by one as they are sent
+                this.updatePartProgress(1, 0, 'hashing');
+                this.updateOverallProgress();
+                this.checksum = await sha256Blob(this.file);
+                if (this.aborted) return false;
+                let verification = await this.putObject();
+                if (verification === 'mismatch' && !this.aborted) {
+                    console.warn(`Checksum mismatch for ${this.path}, uploading again`);
+                    this.stateManager.registerUpload(this.uploadId, this);
+                    verification = await this.putObject();
+                }
+                if (verification === 'mismatch') {
+                    throw new Error('Stored checksum does not match the local file');
+                }
+                return !this.aborted;
+            }
+            if (this.s3UploadId) {
+                await this.syncUploadedParts();
+            } else {
+                await this.initializeUpload();
+                // A cancel that arrived while the upload was being created couldn't abort it yet
+                if (this.aborted) {
+                    await this.abort();
+                    return false;
+                }
+            }
+            if (!this.aborted) {
+                await this.uploadParts();
+                if (!this.aborted) {
+                    let verification = await this.completeUpload();
+
+                    // One automatic re-upload when the stored object does not match the local file
+                    if (verification === 'mismatch' && !this.aborted) {
+                        console.warn(`Checksum mismatch for ${this.path}, uploading again`);
+                        await this.restartUpload();
+                        verification = await this.completeUpload();
+                    }
+                    if (verification === 'mismatch') {
+                        throw new Error('Stored checksum does not match the local file');
+                    }
+                    return !this.aborted;
+                }
+            }
+            return false;
+        } catch (error) {
+            // In-flight parts reject when cancelled; that is not an upload failure
+            if (this.aborted) return false;
+            await this.handleError(error);
+            return false;
+        }
+    }
+
+    // Small files skip multipart: S3 stores a full-object SHA-256 that is compared with the local one
+    async putObject() {
+        const releaseSlot = await partLimiter.acquire();
+        try {
+            if (this.aborted) return 'pending';
+            this.key = await resolveS3Key(this.path, this.level);
+            this.putController = new AbortController();
+            this.updatePartProgress(1, 0, 'uploading');
+            this.updateOverallProgress();
+            const response = await getS3Client(this.region).send(new PutObjectCommand({
+                Bucket: this.bucket,
+                Key: this.key,
+                Body: this.file,
+                ContentType: this.file.type || 'application/octet-stream',
+                ChecksumSHA256: this.checksum,
+                Metadata: this.metadata,
+                Tagging: encodeTags(this.tags) || undefined
+            }), { abortSignal: this.putController.signal });
+
+            this.updatePartProgress(1, 100, 'completed');
+            if (!response.ChecksumSHA256) {
+                this.verification = 'unavailable';
+            } else {
+                this.verification = response.ChecksumSHA256 === this.checksum ? 'verified' : 'mismatch';
+            }
+            this.updateOverallProgress();
+            return this.verification;
+        } catch (error) {
+            console.error('Failed to upload object:', error);
+            throw error;
+        } finally {
+            releaseSlot();
+            this.putController = null;
+            this.stateManager.unregisterUpload(this.uploadId);
+        }
+    }
+
+    async initializeUpload() {
+        try {
+            this.key = await resolveS3Key(this.path, this.level);
+            const response = await getS3Client(this.region).send(new CreateMultipartUploadCommand({
+                Bucket: this.bucket,
+                Key: this.key,
+                ContentType: this.file.type || 'application/octet-stream',
+                ChecksumAlgorithm: 'SHA256',
+                Metadata: this.metadata,
+                Tagging: encodeTags(this.tags) || undefined
+            }));
+            this.s3UploadId = response.UploadId;
+
+            // Save the initial state
+            this.saveState({ startTime: this.startTime });
+        } catch (error) {
+            console.error('Failed to initialize multipart upload:', error);
+            throw error;
+        }
+    }
+
+    async restartUpload() {
+        this.s3UploadId = null;
+        this.uploadedParts = [];
+        this.partChecksums = []; // Read again, in case the file changed under the first attempt
+        this.verification = 'pending';
+        this.resumedBytes = 0;
+        this.bytesUploaded = 0;
+        this.initializePartTracking();
+        this.stateManager.registerUpload(this.uploadId, this);
+        await this.initializeUpload();
+        await this.uploadParts();
+    }
+
+    saveState(extra = {}) {
+        this.stateManager.saveUploadState(this.uploadId, {
+            ...this.stateManager.getUploadState(this.uploadId),
+            uploadId: this.uploadId,
+            s3UploadId: this.s3UploadId,
+            bucket: this.bucket,
+            region: this.region,
+            key: this.key,
+            level: this.level,
+            path: this.path,
+            fileName: this.file.name,
+            fileSize: this.file.size,
+            fileLastModified: this.file.lastModified,
+            partSize: this.partSize,
+            uploadedParts: this.uploadedParts,
+            metadata: this.metadata,
+            tags: this.tags,
+            completed: false,
+            failed: false,
+            ...extra
+        });
+    }
+
+    recordUploadedPart(uploadedPart) {
+        if (this.aborted) return;
+        this.uploadedParts = [
+            ...this.uploadedParts.filter(p => p.PartNumber !== uploadedPart.PartNumber),
+            uploadedPart
+        ].sort((a, b) => a.PartNumber - b.PartNumber);
+        this.saveState();
+        this.updateOverallProgress();
+    }
+
+    async uploadParts() {
+        const queue = this.parts.filter(part => !part.completed);
+        this.partsFailed = false;
+        let failure = null;
+
+        // Each worker pulls the next pending part, keeping CONCURRENT_UPLOADS requests in flight.
+        // The first part that runs out of retries stops the others and cancels their requests.
+        const worker = async () => {
+            while (queue.length > 0 && !this.aborted && !this.partsFailed) {
+                await this.waitWhilePaused();
+                if (this.aborted || this.partsFailed || queue.length === 0) break;
+                const part = queue.shift();
+                const chunk = this.file.slice(part.startByte, part.endByte);
+                try {
+                    const uploadedPart = await this.uploadPart(chunk, part.partNumber);
+                    this.recordUploadedPart(uploadedPart);
+                } catch (error) {
+                    if (!this.partsFailed) {
+                        this.partsFailed = true;
+                        failure = error;
+                        this.partRequests.forEach(xhr => xhr.abort());
+                        // Paused workers would otherwise hold the failure back until a resume
+                        if (this.paused) {
+                            this.paused = false;
+                            this.resumeWorkers();
+                        }
+                    }
+                    throw error;
+                }
+            }
+        };
+
+        // Settles only once every worker has stopped, so a retry never overlaps parts still in flight
+        const workerCount = Math.min(UPLOAD_CONFIG.CONCURRENT_UPLOADS, queue.length);
+        const results = await Promise.allSettled(Array.from({ length: workerCount }, worker));
+        const rejected = results.find(result => result.status === 'rejected');
+        if (rejected) {
+            this.updateOverallProgress();
+            throw failure || rejected.reason;
+        }
+    }
+
+    async uploadPart(chunk, partNumber) {
+        let retries = 0;
+        const maxRetries = UPLOAD_CONFIG.MAX_RETRIES;
+        const initialDelay = 1000;
+
+        // Hashed just before the part is sent rather than with the whole file up front, so the first
+        // bytes go out right away. S3 recomputes it on receipt and rejects the part if the bytes differ.
+        const checksum = await this.hashPart(partNumber, chunk);
+
+        while (true) {
+            try {
+                const releaseSlot = await partLimiter.acquire();
+                let etag;
+                try {
+                    if (this.aborted) throw new Error('Upload was aborted');
+                    if (this.partsFailed) throw new Error('Another part of this upload failed');
+                    this.activeUploads.add(partNumber);
+                    this.updatePartProgress(partNumber, 0, 'uploading');
+
+                    // A fresh presigned URL per attempt, so retries never hit an expired signature
+                    const url = await getSignedUrl(
+                        getS3Client(this.region),
+                        new UploadPartCommand({
+                            Bucket: this.bucket,
+                            Key: this.key,
+                            UploadId: this.s3UploadId,
+                            PartNumber: partNumber,
+                            ChecksumSHA256: checksum
+                        }),
+                        {
+                            expiresIn: UPLOAD_CONFIG.PART_URL_EXPIRY_SECONDS,
+                            unhoistableHeaders: new Set(['x-amz-checksum-sha256'])
+                        }
+                    );
+                    etag = await this.sendPart(url, chunk, partNumber, {
+                        'x-amz-checksum-sha256': checksum
+                    });
+                } finally {
+                    releaseSlot();
+                }
+
+                this.updatePartProgress(partNumber, 100, 'completed');
+                this.activeUploads.delete(partNumber);
+
+                return {
+                    PartNumber: partNumber,
+                    ETag: etag,
+                    ChecksumSHA256: checksum
+                };
+
+            } catch (error) {
+                this.activeUploads.delete(partNumber);
+                if (this.aborted) throw error;
+                // Stopped because another part failed; it is sent again on retry
+                if (this.partsFailed) {
+                    this.updatePartProgress(partNumber, 0, 'pending');
+                    throw error;
+                }
+                retries++;
+
+                if (retries > maxRetries) {
+                    this.updatePartProgress(partNumber, 0, 'error', error.message);
+                    throw new Error(`Failed to upload part ${partNumber} after ${retries} attempts: ${error.message}`);
+                }
+
+                const delay = Math.min(initialDelay * Math.pow(2, retries - 1), this.maxRetryDelay)
+                    + Math.random() * 1000;
+
+                this.updatePartProgress(
+                    partNumber, 
+                    0, 
+                    'retrying', 
+                    `Retrying... (Retry ${retries} of ${maxRetries})`
+                );
+
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+
+    // Kept once computed, so retries of the part don't read it again
+    async hashPart(partNumber, chunk) {
+        if (!this.partChecksums[partNumber - 1]) {
+            this.updatePartProgress(partNumber, 0, 'hashing');
+            this.updateOverallProgress();
+            this.partChecksums[partNumber - 1] = await sha256Blob(chunk);
+        }
+        return this.partChecksums[partNumber - 1];
+    }
+
+    // PUTs a part with XHR rather than fetch so upload progress events are available
+    sendPart(url, chunk, partNumber, headers = {}) {
+        return new Promise((resolve, reject) => {
+            const xhr = new XMLHttpRequest();
+            this.partRequests.set(partNumber, xhr);
+
+            xhr.upload.onprogress = (event) => {
+                if (this.aborted || !event.lengthComputable) return;
+                this.updatePartProgress(partNumber, (event.loaded / event.total) * 100, 'uploading');
+
+                const now = Date.now();
+                if (now - this.lastProgressEmit >= UPLOAD_CONFIG.PROGRESS_UPDATE_INTERVAL) {
+                    this.lastProgressEmit = now;
+                    this.updateOverallProgress();
+                }
+            };
+            xhr.onload = () => {
+                this.partRequests.delete(partNumber);
+                const etag = xhr.getResponseHeader('ETag');
+                if (xhr.status < 200 || xhr.status >= 300) {
+                    reject(new Error(`Part ${partNumber} upload failed with status ${xhr.status}`));
+                } else if (!etag) {
+                    reject(new Error('ETag header missing from response; the bucket CORS policy must expose ETag'));
+                } else {
+                    resolve(etag);
+                }
+            };
+            xhr.onerror = () => {
+                this.partRequests.delete(partNumber);
+                reject(new Error(`Network error uploading part ${partNumber}`));
+            };
+            xhr.onabort = () => {
+                this.partRequests.delete(partNumber);
+                reject(new Error(`Upload of part ${partNumber} was aborted`));
+            };
+
+            xhr.open('PUT', url);
+            Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+            xhr.send(chunk);
+        });
+    }
+
+    async completeUpload() {
+        try {
+            if (!this.aborted && this.uploadedParts.length === this.numParts) {
+                try {
+                    // Complete the multipart upload
+                    const response = await getS3Client(this.region).send(new CompleteMultipartUploadCommand({
+                        Bucket: this.bucket,
+                        Key: this.key,
+                        UploadId: this.s3UploadId,
+                        MultipartUpload: { Parts: this.uploadedParts }
+                    }));
+
+                    // S3 derives its composite checksum from the parts it stored; ours comes from the digests
+                    // of the local parts
+                    this.checksum = await compositeSha256(this.partChecksums);
+                    if (!response.ChecksumSHA256) {
+                        this.verification = 'unavailable';
+                    } else {
+                        this.verification = response.ChecksumSHA256 === this.checksum ? 'verified' : 'mismatch';
+                    }
+    
+                    // Update final progress and state
+                    const finalProgress = this.calculateProgress(this.numParts, this.file.size);
+                    finalProgress.status = 'completed';
+                    
+                    this.stateManager.saveUploadState(this.uploadId, {
+                        ...this.stateManager.getUploadState(this.uploadId),
+                        ...finalProgress,
+                        completed: true,
+                        completedAt: Date.now(),
+                        key: this.key // Store the final S3 key
+                    });
+
+                    return this.verification;
+                } catch (error) {
+                    console.error('Failed to complete multipart upload:', error);
+                    throw error;
+                }
+            }
+        } catch (error) {
+            console.error('Failed to complete upload:', error);
+            throw error;
+        } finally {
+            this.stateManager.unregisterUpload(this.uploadId);
+        }
+    }
+
+    // Stops scheduling new parts; parts already in flight are allowed to finish
+    pause() {
+        if (this.paused || this.aborted) return;
+        this.paused = true;
+        this.pausedUntil = new Promise(resolve => {
+            this.resumeWorkers = resolve;
+        });
+        this.updateOverallProgress();
+    }
+
+    resume() {
+        if (!this.paused) return;
+        this.paused = false;
+        this.resumed = true;
+        this.resumeWorkers();
+        this.updateOverallProgress();
+    }
+
+    async waitWhilePaused() {
+        while (this.paused) {
+            await this.pausedUntil;
+        }
+    }
+
+    async abort() {
+        this.aborted = true;
+        if (this.paused) {
+            this.paused = false;
+            this.resumeWorkers();
+        }
+        try {
+            this.partRequests.forEach(xhr => xhr.abort());
+            this.partRequests.clear();
+            this.putController?.abort();
+            if (this.s3UploadId) {
+                await getS3Client(this.region).send(new AbortMultipartUploadCommand({
+                    Bucket: this.bucket,
+                    Key: this.key,
+                    UploadId: this.s3UploadId
+                }));
+            }
+            this.activeUploads.clear();
+            this.stateManager.removeUploadState(this.uploadId);
+        } catch (error) {
+            console.error('Error aborting upload:', error);
+        }
+    }
+
+    async handleError(error) {
+        console.error('Upload error:', error);
+        if (this.stateDiscarded) throw error;
+        const errorState = {
+            ...this.stateManager.getUploadState(this.uploadId),
+            failed: true,
+            error: error.message,
+            failedAt: Date.now(),
+            status: 'error'
+        };
+        this.stateManager.saveUploadState(this.uploadId, errorState);
+        throw error;
+    }
+
+    updateProgress(completedParts) {
+        if (!this.aborted) {
+            const progressInfo = this.calculateProgress(completedParts, this.bytesUploaded);
+            this.onProgress?.(progressInfo);
+            this.stateManager.notifyProgress(this.uploadId, progressInfo);
+        }
+    }
+
+    logProgress(progressInfo) {
+        console.log(`
+            Upload Progress for ${progressInfo.filename}:
+            - Progress: ${progressInfo.progress.toFixed(2)}%
+            - Parts: ${progressInfo.loadedParts}/${progressInfo.totalParts}
+            - Uploaded: ${formatBytes(progressInfo.bytesUploaded)}/${formatBytes(progressInfo.totalSize)}
+            - Speed: ${progressInfo.uploadSpeed}
+            - Average Speed: ${progressInfo.averageSpeed}
+            - ETA: ${progressInfo.estimatedTimeRemaining}
+            - Elapsed Time: ${progressInfo.elapsedTime}
+            - Status: ${progressInfo.status}
+            - Part Statistics: 
+                Completed: ${progressInfo.statistics.completed}
+                In Progress: ${progressInfo.statistics.inProgress}
+                Failed: ${progressInfo.statistics.failed}
+                Pending: ${progressInfo.statistics.pending}
+        `);
+    }
+
+    async retry() {
+        if (this.aborted) return false;
+        
+        const failedParts = this.parts.filter(part => part.error);
+        for (const part of failedParts) {
+            if (this.aborted) break;
+            
+            const chunk = this.file.slice(part.startByte, part.endByte);
+            
+            try {
+                this.recordUploadedPart(await this.uploadPart(chunk, part.partNumber));
+            } catch (error) {
+                console.error(`Failed to retry part ${part.partNumber}:`, error);
+                throw error;
+            }
+        }
+        
+        return !this.aborted;
+    }
+
+    async retryPart(partNumber) {
+        const part = this.parts[partNumber - 1];
+        if (!part) {
+            throw new Error(`Invalid part number: ${partNumber}`);
+        }
+    
+        const chunk = this.file.slice(part.startByte, part.endByte);
+        console.log(`Retrying upload for part ${partNumber}`);
+    
+        try {
+            const result = await this.uploadPart(chunk, partNumber);
+            this.updatePartProgress(partNumber, 100, 'completed');
+            this.recordUploadedPart(result);
+            return result;
+        } catch (error) {
+            console.error(`Retry failed for part ${partNumber}:`, error);
+            throw error;
+        }
+    }
+
+    // Picks a failed multipart upload up again: every part that failed, was stopped by the
+    // failure or never started goes back in the queue, and the upload completes once all arrive
+    async retryFailedParts() {
+        // Only a failed upload; one resumed from the saved state in the meantime is already running
+        if (this.aborted || !this.s3UploadId || !this.stateManager.getUploadState(this.uploadId)?.failed) {
+            return false;
+        }
+
+        this.parts.filter(part => !part.completed).forEach(part => this.updatePartProgress(part.partNumber, 0, 'pending'));
+        this.stateManager.registerUpload(this.uploadId, this);
+        this.saveState({ error: null, status: 'in-progress' });
+        try {
+            await this.uploadParts();
+            if (this.aborted) return false;
+            const verification = await this.completeUpload();
+            if (verification === 'mismatch') {
+                throw new Error('Stored checksum does not match the local file');
+            }
+            return !this.aborted;
+        } catch (error) {
+            if (this.aborted) return false;
+            await this.handleError(error);
+            return false;
+        }
+    }
+    
+}
+
+// Export the MultipartUploadHandler class
+export { MultipartUploadHandler };
+/**
+ * Progress Monitoring Components
+ */
+
+// Status badge shown on each upload card
+const UPLOAD_STATUS_INDICATORS = {
+    'in-progress': { type: 'in-progress', label: 'Uploading' },
+    paused: { type: 'pending', label: 'Paused' },
+    cancelled: { type: 'stopped', label: 'Cancelled' },
+    completed: { type: 'success', label: 'Completed' },
+    success: { type: 'success', label: 'Completed' },
+    error: { type: 'error', label: 'Failed' }
+};
+
+function getUploadStatusIndicator(item) {
+    if (item.status === 'in-progress' && item.resumed) {
+        return { type: 'in-progress', label: 'Resumed' };
+    }
+    return UPLOAD_STATUS_INDICATORS[item.status] || UPLOAD_STATUS_INDICATORS['in-progress'];
+}
+
+const VERIFICATION_INDICATORS = {
+    pending: { type: 'pending', label: 'Pending' },
+    verified: { type: 'success', label: 'Verified' },
+    mismatch: { type: 'error', label: 'Mismatch' },
+    unavailable: { type: 'warning', label: 'Not verified' }
+};
+
+// ProgressBar only understands in-progress, success and error
+function getProgressBarStatus(status) {
+    if (status === 'success' || status === 'completed') return 'success';
+    if (status === 'error' || status === 'cancelled') return 'error';
+    return 'in-progress';
+}
+
+const UploadProgress = ({ historyList, onCancel }) => {
+    const [retrying, setRetrying] = useState({});
+    const [actionError, setActionError] = useState(null);
+    const uploadStateManager = useContext(UploadStateContext);
+
+    const findHandler = (item) => {
+        const handler = uploadStateManager.getActiveUploads().find(h => h.uploadId === item.id);
+        if (!handler) {
+            throw new Error('Upload handler not found');
+        }
+        return handler;
+    };
+
+    const handleRetryAllFailedParts = async (item) => {
+        try {
+            setRetrying(prev => ({ ...prev, [item.id]: true }));
+            
+            // Find the upload handler for this file
+            const handler = findHandler(item);
+
+            // Retry all failed parts
+            await handler.retryFailedParts();
+            
+            // Refresh the upload status
+            await handler.updateOverallProgress();
+
+        } catch (error) {
+            console.error('Failed to retry parts:', error);
+            setActionError(`Failed to retry upload parts: ${error.message}`);
+        } finally {
+            setRetrying(prev => ({ ...prev, [item.id]: false }));
+        }
+    };
+
+    const handlePauseResume = (item) => {
+        try {
+            const handler = findHandler(item);
+            if (item.status === 'paused') {
+                handler.resume();
+            } else {
+                handler.pause();
+            }
+        } catch (error) {
+            console.error('Failed to pause or resume upload:', error);
+            setActionError(`Failed to ${item.status === 'paused' ? 'resume' : 'pause'} upload: ${error.message}`);
+        }
+    };
+
+    return (
+        <Container
+            header={
+                <Header variant="h2">
+                    Active Uploads & Progress
+                </Header>
+            }
+        >
+            {actionError && (
+                <Alert
+                    type="error"
+                    dismissible
+                    onDismiss={() => setActionError(null)}
+                >
+                    {actionError}
+                </Alert>
+            )}
+            {historyList.map((item) => {
+                const statusIndicator = getUploadStatusIndicator(item);
+                const verificationIndicator = VERIFICATION_INDICATORS[item.verification] || VERIFICATION_INDICATORS.pending;
+                const isActive = item.status === 'in-progress' || item.status === 'paused';
+
+                return (
+                    <SpaceBetween size="m" key={item.id}>
+                        <Container
+                            header={
+                                <Header
+                                    variant="h3"
+                                    description={
+                                        <StatusIndicator type={statusIndicator.type}>
+                                            {statusIndicator.label}
+                                        </StatusIndicator>
+                                    }
+                                    actions={isActive && (
+                                        <SpaceBetween direction="horizontal" size="xs">
+                                            {item.multipart && (
+                                                <Button
+                                                    onClick={() => handlePauseResume(item)}
+                                                    iconName={item.status === 'paused' ? 'caret-right-filled' : 'status-stopped'}
+                                                >
+                                                    {item.status === 'paused' ? 'Resume' : 'Pause'}
+                                                </Button>
+                                            )}
+                                            <Button onClick={() => onCancel(item)}>
+                                                Cancel
+                                            </Button>
+                                        </SpaceBetween>
+                                    )}
+                                >
+                                    {item.filename}
+                                </Header>
+                            }
+                        >
+                            <SpaceBetween size="s">
+                                {/* Warning Message */}
+                                {isActive && (
+                                    <Alert
+                                        type="warning"
+                                        statusIconAriaLabel="Warning"
+                                        header={item.status === 'paused' ? 'Upload paused' : 'Upload in progress'}
+                                    >
+                                        <span style={{ color: '#d13212' }}>
+                                            Please do not close this tab or navigate away until the upload is complete.
+                                        </span>
+                                    </Alert>
+                                )}
+
+                                {/* Main Progress Bar */}
+                                <ProgressBar
+                                    status={getProgressBarStatus(item.status)}
+                                    value={item.percentage}
+                                    variant="standalone"
+                                    label="Upload Progress"
+                                    description={item.statistics?.hashing > 0 ? 'Hashing (SHA-256) before sending' : undefined}
+                                    additionalInfo={`${item.percentage ? item.percentage.toFixed(1) : 0}%`}
+                                    resultText={item.status === 'cancelled' ? 'Upload cancelled' : undefined}
+                                />
+
+                                {/* Basic Statistics */}
+                                <ColumnLayout columns={2} variant="text-grid">
+                                    <div>
+                                        <Box variant="awsui-key-label">File Size</Box>
+                                        <div>{item.filesize}</div>
+                                    </div>
+                                    <div>
+                                        <Box variant="awsui-key-label">Upload Speed</Box>
+                                        <div>{item.uploadSpeed || 'Calculating...'}</div>
+                                    </div>
+                                    <div>
+                                        <Box variant="awsui-key-label">Time Remaining</Box>
+                                        <div>{item.estimatedTimeRemaining || 'Calculating...'}</div>
+                                    </div>
+                                    <div>
+                                        <Box variant="awsui-key-label">Elapsed Time</Box>
+                                        <div>{item.elapsedTime || '0s'}</div>
+                                    </div>
+                                    <div>
+                                        <Box variant="awsui-key-label">Integrity (SHA-256)</Box>
+                                        <StatusIndicator type={verificationIndicator.type}>
+                                            {verificationIndicator.label}
+                                        </StatusIndicator>
+                                        {item.checksum && (
+                                            <Box variant="small" color="text-body-secondary">
+                                                {item.checksum}
+                                            </Box>
+                                        )}
+                                    </div>
+                                </ColumnLayout>
+
+                                {/* Failed Parts Alert and Retry Option */}
+                                {item.statistics?.failed > 0 && (
+                                    <Alert
+                                        type="error"
+                                        header={`Upload Partially Failed - ${item.statistics.failed} parts failed`}
+                                        action={
+                                            <Button
+                                                onClick={() => handleRetryAllFailedParts(item)}
+                                                loading={retrying[item.id]}
+                                                disabled={retrying[item.id]}
+                                            >
+                                                {retrying[item.id] ? 'Retrying...' : 'Retry Failed Parts'}
+                                            </Button>
+                                        }
+                                    >
+                                        Some parts of the file failed to upload. You can retry the failed parts.
+                                        <Box variant="small" color="text-body-secondary">
+                                            Completed: {item.statistics.completed} parts
+                                            <br />
+                                            Failed: {item.statistics.failed} parts
+                                        </Box>
+                                    </Alert>
+                                )}
+
+                                {/* General Error Display */}
+                                {item.error && !item.statistics?.failed && (
+                                    <Alert type="error" header="Upload Error">
+                                        {item.error}
+                                    </Alert>
+                                )}
+                            </SpaceBetween>
+                        </Container>
+                    </SpaceBetween>
+                );
+            })}
+        </Container>
+    );
+};
+
+/**
+ * Upload Queue Component
+ */
+const PRIORITY_OPTIONS = [
+    { value: 'high', label: 'High' },
+    { value: 'normal', label: 'Normal' },
+    { value: 'low', label: 'Low' }
+];
+
+const UploadQueuePanel = ({ items, onMove, onPriorityChange, onRemove }) => {
+    if (items.length === 0) return null;
+
+    const queuedIds = items.filter(item => item.status === 'queued').map(item => item.id);
+
+    return (
+        <Container
+            header={
+                <Header
+                    variant="h2"
+                    counter={`(${items.length})`}
+                    description={`Up to ${UPLOAD_CONFIG.CONCURRENT_FILES} files and ${UPLOAD_CONFIG.MAX_PARTS_IN_FLIGHT} parts upload at the same time.`}
+                >
+                    Upload queue
+                </Header>
+            }
+        >
+            <Table
+                items={items}
+                trackBy="id"
+                variant="embedded"
+                columnDefinitions={[
+                    {
+                        id: 'file',
+                        header: 'File',
+                        cell: item => item.label
+                    },
+                    {
+                        id: 'size',
+                        header: 'Size',
+                        cell: item => formatBytes(item.size)
+                    },
+                    {
+                        id: 'status',
+                        header: 'Status',
+                        cell: item => item.status === 'running'
+                            ? <StatusIndicator type="in-progress">Uploading</StatusIndicator>
+                            : <StatusIndicator type="pending">Queued</StatusIndicator>
+                    },
+                    {
+                        id: 'priority',
+                        header: 'Priority',
+                        cell: item => (
+                            <Select
+                                selectedOption={PRIORITY_OPTIONS.find(option => option.value === item.priority)}
+                                options={PRIORITY_OPTIONS}
+                                disabled={item.status !== 'queued'}
+                                onChange={({ detail }) => onPriorityChange(item.id, detail.selectedOption.value)}
+                                ariaLabel={`Priority for ${item.label}`}
+                            />
+                        )
+                    },
+                    {
+                        id: 'actions',
+                        header: 'Actions',
+                        cell: item => item.status === 'queued' && (
+                            <SpaceBetween direction="horizontal" size="xs">
+                                <Button
+                                    onClick={() => onMove(item.id, -1)}
+                                    iconName="angle-up"
+                                    variant="icon"
+                                    ariaLabel={`Move ${item.label} up`}
+                                    disabled={queuedIds.indexOf(item.id) === 0}
+                                />
+                                <Button
+                                    onClick={() => onMove(item.id, 1)}
+                                    iconName="angle-down"
+                                    variant="icon"
+                                    ariaLabel={`Move ${item.label} down`}
+                                    disabled={queuedIds.indexOf(item.id) === queuedIds.length - 1}
+                                />
+                                <Button onClick={() => onRemove(item.id)} variant="link">
+                                    Remove
+                                </Button>
+                            </SpaceBetween>
+                        )
+                    }
+                ]}
+            />
+        </Container>
+    );
+};
+
+/**
+ * Upload Options Form Component
+ */
+const AttributeRows = ({ items, errors, onChange, keyLabel, addButtonText }) => {
+    const updateRow = (index, changes) => onChange(items.map((row, i) => i === index ? { ...row, ...changes } : row));
+
+    return (
+        <AttributeEditor
+            items={items}
+            onAddButtonClick={() => onChange([...items, { key: '', value: '' }])}
+            onRemoveButtonClick={({ detail: { itemIndex } }) => onChange(items.filter((_, i) => i !== itemIndex))}
+            addButtonText={addButtonText}
+            removeButtonText="Remove"
+            empty="None"
+            definition={[
+                {
+                    label: keyLabel,
+                    control: (item, index) => (
+                        <Input value={item.key} onChange={({ detail }) => updateRow(index, { key: detail.value })} />
+                    ),
+                    errorText: (item, index) => errors[index]
+                },
+                {
+                    label: 'Value',
+                    control: (item, index) => (
+                        <Input value={item.value} onChange={({ detail }) => updateRow(index, { value: detail.value })} />
+                    )
+                }
+            ]}
+        />
+    );
+};
+
+const UploadOptionsForm = ({ options, onChange }) => {
+    const errors = validateUploadOptions(options);
+
+    return (
+        <ColumnLayout columns={2}>
+            <FormField
+                label="User metadata"
+                description="Stored with each object as x-amz-meta-* headers."
+                errorText={errors.metadataSize}
+            >
+                <AttributeRows
+                    items={options.metadata}
+                    errors={errors.metadata}
+                    onChange={metadata => onChange({ ...options, metadata })}
+                    keyLabel="Key"
+                    addButtonText="Add metadata"
+                />
+            </FormField>
+            <FormField
+                label="Tags"
+                description={`Up to ${MAX_OBJECT_TAGS} tags, such as project or dataset-id.`}
+                errorText={errors.tagCount}
+            >
+                <AttributeRows
+                    items={options.tags}
+                    errors={errors.tags}
+                    onChange={tags => onChange({ ...options, tags })}
+                    keyLabel="Tag key"
+                    addButtonText="Add tag"
+                />
+            </FormField>
+        </ColumnLayout>
+    );
+};
+
+/**
+ * Upload Conflict Modal Component
+ */
+const UPLOAD_OUTCOMES = {
+    upload: { type: 'success', text: () => 'Upload' },
+    overwrite: { type: 'warning', text: () => 'Overwrite' },
+    skip: { type: 'stopped', text: () => 'Skip' },
+    rename: { type: 'info', text: step => `Upload as ${step.key.split('/').pop()}` }
+};
+
+const UploadConflictModal = ({ review, onChange, onConfirm, onDismiss }) => {
+    if (!review) return null;
+
+    const plan = planUploads(review.files, review.existing, review.policy, review.overrides);
+    const count = outcome => plan.filter(step => step.outcome === outcome).length;
+    const uploads = plan.length - count('skip');
+    const conflicts = review.files.filter(({ key }) => review.existing.has(key)).length;
+    const batchPolicy = UPLOAD_CONFLICT_POLICIES.find(policy => policy.value === review.policy);
+
+    return (
+        <Modal
+            visible
+            size="large"
+            onDismiss={onDismiss}
+            header={conflicts > 0 ? 'Some files already exist' : 'Review upload'}
+            closeAriaLabel="Close dialog"
+            footer={
+                <Box float="right">
+                    <SpaceBetween direction="horizontal" size="xs">
+                        <Button variant="link" onClick={onDismiss}>Cancel</Button>
+                        <Button variant="primary" onClick={() => onConfirm(plan)} disabled={uploads === 0}>
+                            {`Upload ${uploads} file${uploads === 1 ? '' : 's'}`}
+                        </Button>
+                    </SpaceBetween>
+                </Box>
+            }
+        >
+            <SpaceBetween size="m">
+                <Box>
+                    {`${conflicts} of ${review.files.length} files match objects in ${review.path || 'the bucket root'}. `}
+                    {[
+                        `${count('upload') + count('rename')} new`,
+                        `${count('overwrite')} overwritten`,
+                        `${count('skip')} skipped`
+                    ].join(', ')}
+                </Box>
+                {conflicts > 0 && (
+                    <FormField label="For the whole batch">
+                        <RadioGroup
+                            value={review.policy}
+                            onChange={({ detail }) => onChange({ policy: detail.value })}
+                            items={UPLOAD_CONFLICT_POLICIES}
+                        />
+                    </FormField>
+                )}
+                <Table
+                    variant="embedded"
+                    items={plan.map((step, index) => ({ ...step, label: review.files[index].label, file: review.files[index].file }))}
+                    trackBy="id"
+                    columnDefinitions={[
+                        {
+                            id: 'file',
+                            header: 'File',
+                            cell: item => `${item.label} (${formatBytes(item.file.size)})`
+                        },
+                        {
+                            id: 'existing',
+                            header: 'Existing object',
+                            cell: item => item.existing
+                                ? `${formatBytes(item.existing.size || 0)}, ${formatDate(item.existing.lastModified)}`
+                                : '-'
+                        },
+                        {
+                            id: 'policy',
+                            header: 'Policy',
+                            cell: item => item.existing ? (
+                                <Select
+                                    selectedOption={{
+                                        value: review.overrides[item.id] || '',
+                                        label: (UPLOAD_CONFLICT_POLICIES.find(policy => policy.value === review.overrides[item.id]) ||
+                                            { label: `Batch (${batchPolicy.label})` }).label
+                                    }}
+                                    onChange={({ detail }) => onChange({
+                                        overrides: { ...review.overrides, [item.id]: detail.selectedOption.value || undefined }
+                                    })}
+                                    options={[
+                                        { value: '', label: `Batch (${batchPolicy.label})` },
+                                        ...UPLOAD_CONFLICT_POLICIES.map(({ value, label }) => ({ value, label }))
+                                    ]}
+                                    expandToViewport
+                                />
+                            ) : '-'
+                        },
+                        {
+                            id: 'outcome',
+                            header: 'Result',
+                            cell: item => (
+                                <StatusIndicator type={UPLOAD_OUTCOMES[item.outcome].type}>
+                                    {UPLOAD_OUTCOMES[item.outcome].text(item)}
+                                </StatusIndicator>
+                            )
+                        }
+                    ]}
+                />
+            </SpaceBetween>
+        </Modal>
+    );
+};
+
+/**
+ * Resume Uploads Component
+ */
+const ResumeUploads = ({ uploads, onResume, onDiscard }) => {
+    const fileInput = useRef(null);
+    const [selectedUpload, setSelectedUpload] = useState(null);
+
+    const handleFileSelect = (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (file && selectedUpload) {
+            onResume(selectedUpload, file);
+        }
+        setSelectedUpload(null);
+    };
+
+    if (uploads.length === 0) return null;
+
+    return (
+        <Container
+            header={
+                <Header
+                    variant="h2"
+                    description="Select the original file again to upload only the parts that are still missing."
+                >
+                    Resume uploads
+                </Header>
+            }
+        >
+            <Table
+                items={uploads}
+                trackBy="uploadId"
+                variant="embedded"
+                columnDefinitions={[
+                    {
+                        id: 'fileName',
+                        header: 'File',
+                        cell: item => item.fileName
+                    },
+                    {
+                        id: 'path',
+                        header: 'Destination',
+                        cell: item => `${item.bucket}/${item.path} (${item.level || 'protected'})`
+                    },
+                    {
+                        id: 'progress',
+                        header: 'Uploaded',
+                        cell: item => {
+                            const totalParts = Math.max(1, Math.ceil(item.fileSize / item.partSize));
+                            const uploadedParts = item.uploadedParts?.length || 0;
+                            return `${uploadedParts} of ${totalParts} parts (${formatBytes(Math.min(uploadedParts * item.partSize, item.fileSize))} of ${formatBytes(item.fileSize)})`;
+                        }
+                    },
+                    {
+                        id: 'lastUpdated',
+                        header: 'Last activity',
+                        cell: item => formatDate(item.lastUpdated)
+                    },
+                    {
+                        id: 'actions',
+                        header: 'Actions',
+                        cell: item => (
+                            <SpaceBetween direction="horizontal" size="xs">
+                                <Button
+                                    onClick={() => {
+                                        setSelectedUpload(item);
+                                        fileInput.current.click();
+                                    }}
+                                    iconName="upload"
+                                >
+                                    Select file
+                                </Button>
+                                <Button onClick={() => onDiscard(item)} variant="link">
+                                    Discard
+                                </Button>
+                            </SpaceBetween>
+                        )
+                    }
+                ]}
+            />
+            <input
+                type="file"
+                ref={fileInput}
+                onChange={handleFileSelect}
+                style={{display: 'none'}}
+            />
+        </Container>
+    );
+};
+
+/**
+ * Object Actions
+ */
+const BULK_ACTIONS = {
+    delete: { title: 'Delete objects', verb: 'Delete' },
+    download: { title: 'Download objects', verb: 'Download' },
+    copy: { title: 'Copy objects', verb: 'Copy', label: 'Copy to…' },
+    move: { title: 'Move objects', verb: 'Move' },
+    rename: { title: 'Rename', verb: 'Rename', single: true }
+};
+
+// Where an object ends up for copy, move and rename actions
+function getDestinationKey(action, object) {
+    if (action.type === 'rename') {
+        const [item] = action.items;
+        const renamedKey = joinPath(getParentPath(item.key), action.newName.trim());
+        return item.isFolder ? renamedKey + object.key.slice(item.key.length) : renamedKey;
+    }
+    return joinPath(normalizeFolderPath(action.destination), object.relativePath);
+}
+
+function getActionError(action) {
+    if (action.type === 'rename') {
+        const [item] = action.items;
+        const newName = action.newName.trim();
+        if (newName.includes('/')) return 'Names can\'t contain "/"';
+        const renamedKey = joinPath(getParentPath(item.key), newName);
+        if (newName !== item.key.split('/').pop() &&
+            action.existingKeys.some(key => key === renamedKey || key.startsWith(`${renamedKey}/`))) {
+            return `An object named ${newName} already exists`;
+        }
+        return null;
+    }
+    if (action.type !== 'copy' && action.type !== 'move') return null;
+
+    // A folder can't be copied or moved into itself or one of its subfolders
+    const destination = normalizeFolderPath(action.destination);
+    const folder = action.items.find(item => item.isFolder &&
+        (destination === item.key || destination.startsWith(`${item.key}/`)));
+    if (folder) {
+        return `Folder ${folder.displayName} can't be ${action.type === 'copy' ? 'copied' : 'moved'} into itself`;
+    }
+    if (action.type === 'move' && action.items.some(item => getParentPath(item.key) === destination)) {
+        return 'Some of the selected objects are already in this folder';
+    }
+    return null;
+}
+
+const CONFLICT_POLICIES = [
+    { value: 'skip', label: 'Skip', description: 'Keep the existing object and leave the conflicting one where it is.' },
+    { value: 'overwrite', label: 'Overwrite', description: 'Replace the existing object.' },
+    { value: 'rename', label: 'Keep both', description: 'Give a conflicting file or folder a name with a suffix, such as "report (1).csv".' }
+];
+
+/**
+ * Folder Picker Component
+ */
+const FolderPicker = ({ value, level, bucket, region, onChange, disabled }) => {
+    const [folders, setFolders] = useState(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        setFolders(null);
+        Storage.list(value ? `${value}/` : '', { level, bucket, region, pageSize: 'ALL' })
+            .then(({ results }) => {
+                if (!cancelled) setFolders(processListing(results, value).filter(item => item.isFolder));
+            })
+            .catch(error => {
+                console.error('Error listing folders:', error);
+                if (!cancelled) setFolders([]);
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, [value, level, bucket, region]);
+
+    const navigate = (path) => {
+        if (!disabled) onChange(path);
+    };
+
+    return (
+        <SpaceBetween size="xs">
+            <BreadcrumbGroup
+                items={[
+                    { text: 'Bucket root', href: '' },
+                    ...value.split('/').filter(Boolean).map((part, index, parts) => ({
+                        text: part,
+                        href: parts.slice(0, index + 1).join('/')
+                    }))
+                ]}
+                onFollow={(e) => {
+                    e.preventDefault();
+                    navigate(e.detail.href);
+                }}
+                ariaLabel="Destination folder"
+            />
+            <div className="folder-picker-list">
+                {folders === null ? (
+                    <Spinner />
+                ) : folders.length === 0 ? (
+                    <Box color="text-body-secondary">No subfolders</Box>
+                ) : (
+                    folders.map(folder => (
+                        <div key={folder.key}>
+                            <Link onFollow={() => navigate(folder.key)}>
+                                {'📁 '}
+                                {folder.displayName}
+                            </Link>
+                        </div>
+                    ))
+                )}
+            </div>
+        </SpaceBetween>
+    );
+};
+
+/**
+ * Bulk Action Modal Component
+ */
+const BulkActionModal = ({ action, onChange, onConfirm, onDismiss }) => {
+    if (!action) return null;
+
+    const { title, verb } = BULK_ACTIONS[action.type];
+    const needsDestination = action.type === 'copy' || action.type === 'move';
+    const actionError = getActionError(action);
+    const running = action.status === 'running';
+    const progress = action.total ? Math.round((action.processed / action.total) * 100) : 0;
+    const unchanged = action.type === 'rename' &&
+        (!action.newName.trim() || action.newName.trim() === action.items[0].key.split('/').pop());
+
+    return (
+        <Modal
+            visible
+            onDismiss={() => !running && onDismiss()}
+            header={title}
+            closeAriaLabel="Close dialog"
+            footer={
+                <Box float="right">
+                    <SpaceBetween direction="horizontal" size="xs">
+                        {action.status === 'done' ? (
+                            <Button variant="primary" onClick={onDismiss}>Close</Button>
+                        ) : (
+                            <>
+                                <Button variant="link" onClick={onDismiss} disabled={running}>
+                                    Cancel
+                                </Button>
+                                <Button
+                                    variant="primary"
+                                    onClick={onConfirm}
+                                    loading={running}
+                                    disabled={Boolean(actionError) || unchanged}
+                                >
+                                    {needsDestination ? `${verb} to ${normalizeFolderPath(action.destination) || 'bucket root'}` : verb}
+                                </Button>
+                            </>
+                        )}
+                    </SpaceBetween>
+                </Box>
+            }
+        >
+            <SpaceBetween size="m">
+                <Box>
+                    {`${verb} ${action.items.length} item${action.items.length === 1 ? '' : 's'}`}
+                    {action.items.some(item => item.isFolder) ? ', including everything inside the selected folders:' : ':'}
+                </Box>
+                <ul className="bulk-action-list">
+                    {action.items.map(item => (
+                        <li key={item.key}>
+                            {item.isFolder ? '📁 ' : '📄 '}
+                            {item.displayName}
+                        </li>
+                    ))}
+                </ul>
+
+                {action.type === 'rename' && (
+                    <FormField label="New name" errorText={actionError}>
+                        <Input
+                            value={action.newName}
+                            onChange={({ detail }) => onChange({ newName: detail.value })}
+                            disabled={action.status !== 'confirm'}
+                            autoFocus
+                        />
+                    </FormField>
+                )}
+
+                {needsDestination && (
+                    <FormField
+                        label="Destination folder"
+                        description="Open a folder to choose it as the destination."
+                        errorText={actionError}
+                    >
+                        <FolderPicker
+                            value={action.destination}
+                            level={action.level}
+                            bucket={action.bucket}
+                            region={action.region}
+                            onChange={(destination) => onChange({ destination })}
+                            disabled={action.status !== 'confirm'}
+                        />
+                    </FormField>
+                )}
+
+                {needsDestination && (
+                    <FormField label="If an object already exists">
+                        <RadioGroup
+                            value={action.conflictPolicy}
+                            onChange={({ detail }) => onChange({ conflictPolicy: detail.value })}
+                            items={CONFLICT_POLICIES.map(policy => ({
+                                ...policy,
+                                disabled: action.status !== 'confirm'
+                            }))}
+                        />
+                    </FormField>
+                )}
+
+                {action.status !== 'confirm' && (
+                    <ProgressBar
+                        value={progress}
+                        label="Progress"
+                        description={`${action.processed} of ${action.total} steps`}
+                        additionalInfo={running ? action.current : undefined}
+                        status={running ? 'in-progress' : action.failures.length ? 'error' : 'success'}
+                        resultText={action.rolledBack
+                            ? 'A copy failed, so nothing was moved and the new copies were removed again'
+                            : action.failures.length
+                                ? `${action.failures.length} objects failed`
+                                : `All objects done${action.skipped ? `, ${action.skipped} skipped` : ''}`}
+                    />
+                )}
+
+                {action.failures.length > 0 && (
+                    <Alert type="error" header="Failed objects">
+                        <ul className="bulk-action-list">
+                            {action.failures.map(failure => (
+                                <li key={failure.key}>{`${failure.key}: ${failure.error}`}</li>
+                            ))}
+                        </ul>
+                    </Alert>
+                )}
+            </SpaceBetween>
+        </Modal>
+    );
+};
+
+/**
+ * Object Details Panel Component
+ */
+const ObjectDetailsPanel = ({ item }) => {
+    const [details, setDetails] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        setDetails(null);
+        setError(null);
+        getObjectDetails(item.key, item.level, { bucket: item.bucket, region: item.region })
+            .then(result => {
+                if (!cancelled) setDetails(result);
+            })
+            .catch(loadError => {
+                console.error('Error loading object details:', loadError);
+                if (!cancelled) setError(loadError.message);
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, [item.key, item.level, item.bucket, item.region]);
+
+    const copyProps = {
+        copySuccessText: 'Copied',
+        copyErrorText: 'Failed to copy'
+    };
+
+    const handleDownload = () => {
+        downloadObject(item.key, item.level, { bucket: item.bucket, region: item.region }).catch(downloadError => {
+            console.error('Error downloading file:', downloadError);
+            setError(`Error downloading file: ${downloadError.message}`);
+        });
+    };
+
+    const toPairs = (entries, emptyText) => entries.length
+        ? entries.map(([label, value]) => ({ label, value }))
+        : [{ label: emptyText, value: '-' }];
+
+    const head = details?.head;
+
+    return (
+        <SplitPanel
+            header={item.displayName}
+            closeBehavior="hide"
+            headerActions={details && (
+                <SpaceBetween direction="horizontal" size="xs">
+                    <CopyToClipboard
+                        {...copyProps}
+                        copyButtonText="Copy S3 URI"
+                        textToCopy={`s3://${details.bucket}/${details.s3Key}`}
+                    />
+                    <CopyToClipboard
+                        {...copyProps}
+                        copyButtonText="Copy key"
+                        textToCopy={details.s3Key}
+                    />
+                    <Button iconName="download" onClick={handleDownload}>
+                        Download
+                    </Button>
+                </SpaceBetween>
+            )}
+        >
+            {error ? (
+                <Alert type="error" header="Error">
+                    {error}
+                </Alert>
+            ) : !details ? (
+                <Spinner />
+            ) : (
+                <KeyValuePairs
+                    columns={3}
+                    items={[
+                        {
+                            type: 'group',
+                            title: 'Object',
+                            items: [
+                                {
+                                    label: 'Full key',
+                                    value: <CopyToClipboard {...copyProps} variant="inline" textToCopy={details.s3Key} />
+                                },
+                                { label: 'Size', value: formatBytes(head.ContentLength) },
+                                { label: 'Last modified', value: formatDate(head.LastModified) },
+                                { label: 'Content type', value: head.ContentType || '-' },
+                                { label: 'ETag', value: head.ETag ? head.ETag.replace(/"/g, '') : '-' }
+                            ]
+                        },
+                        {
+                            type: 'group',
+                            title: 'Storage',
+                            items: [
+                                { label: 'Storage class', value: head.StorageClass || 'STANDARD' },
+                                { label: 'Encryption', value: head.ServerSideEncryption || '-' },
+                                { label: 'Checksum (SHA-256)', value: head.ChecksumSHA256 || '-' },
+                                { label: 'Cache control', value: head.CacheControl || '-' },
+                                { label: 'Content encoding', value: head.ContentEncoding || '-' },
+                                { label: 'Content disposition', value: head.ContentDisposition || '-' }
+                            ]
+                        },
+                        {
+                            type: 'group',
+                            title: 'User metadata and tags',
+                            items: [
+                                ...toPairs(Object.entries(head.Metadata || {}), 'No user metadata'),
+                                ...(details.tags
+                                    ? toPairs(details.tags.map(({ Key, Value }) => [`Tag: ${Key}`, Value]), 'No tags')
+                                    : [{ label: 'Tags', value: `Unavailable (${details.tagsError})` }])
+                            ]
+                        }
+                    ]}
+                />
+            )}
+        </SplitPanel>
+    );
+};
+
+/**
+ * Preview Modal Component
+ */
+const PreviewContent = ({ kind, url, text, name }) => {
+    switch (kind) {
+        case 'image':
+            return <img className="preview-media" src={url} alt={name} />;
+        case 'video':
+            return <video className="preview-media" src={url} controls preload="metadata" />;
+        case 'audio':
+            return <audio src={url} controls preload="metadata" />;
+        case 'pdf':
+            return <iframe className="preview-frame" src={url} title={name} />;
+        case 'json': {
+            let formatted = text;
+            try {
+                formatted = JSON.stringify(JSON.parse(text), null, 2);
+            } catch (error) {
+                // Invalid JSON is shown as it is
+            }
+            return <pre className="preview-text">{formatted}</pre>;
+        }
+        case 'csv': {
+            const [header = [], ...rows] = parseCsv(text, getExtension(name) === 'tsv' ? '\t' : ',');
+            return (
+                <SpaceBetween size="xs">
+                    <Table
+                        variant="embedded"
+                        items={rows.slice(0, PREVIEW_CONFIG.MAX_CSV_ROWS)}
+                        columnDefinitions={header.map((title, index) => ({
+                            id: String(index),
+                            header: title,
+                            cell: row => row[index] ?? ''
+                        }))}
+                    />
+                    {rows.length > PREVIEW_CONFIG.MAX_CSV_ROWS && (
+                        <Box color="text-body-secondary">
+                            {`Showing the first ${PREVIEW_CONFIG.MAX_CSV_ROWS} of ${rows.length} rows`}
+                        </Box>
+                    )}
+                </SpaceBetween>
+            );
+        }
+        case 'markdown':
+            return (
+                <div
+                    className="preview-markdown"
+                    dangerouslySetInnerHTML={{ __html: DOMPurify.sanitize(marked.parse(text)) }}
+                />
+            );
+        default:
+            return <pre className="preview-text">{text}</pre>;
+    }
+};
+
+const PreviewModal = ({ item, onDismiss }) => {
+    const { level, bucket, region } = item;
+    const [preview, setPreview] = useState(null);
+    const [error, setError] = useState(null);
+    const kind = getPreviewKind(item.displayName);
+    const tooLarge = item.size > getPreviewLimit(kind);
+
+    useEffect(() => {
+        if (tooLarge) return undefined;
+        let cancelled = false;
+        const loadPreview = async () => {
+            // Inline disposition and a content type from the extension let the browser render the object
+            const url = await Storage.get(item.key, {
+                level,
+                bucket,
+                region,
+                contentType: guessContentType(item.displayName),
+                contentDisposition: 'inline'
+            });
+            let text = null;
+            if (['json', 'csv', 'markdown', 'text'].includes(kind)) {
+                const response = await fetch(url);
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                text = await response.text();
+            }
+            if (!cancelled) setPreview({ url, text });
+        };
+        loadPreview().catch(loadError => {
+            console.error('Error loading preview:', loadError);
+            if (!cancelled) setError(loadError.message);
+        });
+        return () => {
+            cancelled = true;
+        };
+    }, [item.key, item.displayName, level, bucket, region, kind, tooLarge]);
+
+    const handleDownload = () => {
+        downloadObject(item.key, level, { bucket, region }).catch(downloadError => {
+            console.error('Error downloading file:', downloadError);
+            setError(`Error downloading file: ${downloadError.message}`);
+        });
+    };
+
+    return (
+        <Modal
+            visible
+            size="max"
+            onDismiss={onDismiss}
+            header={item.displayName}
+            closeAriaLabel="Close preview"
+            footer={
+                <Box float="right">
+                    <SpaceBetween direction="horizontal" size="xs">
+                        <Button iconName="download" onClick={handleDownload}>Download</Button>
+                        <Button variant="primary" onClick={onDismiss}>Close</Button>
+                    </SpaceBetween>
+                </Box>
+            }
+        >
+            {tooLarge ? (
+                <Alert type="info" header="Too large to preview">
+                    {`${item.displayName} is ${formatBytes(item.size)}. Files of this type are previewed up to ${formatBytes(getPreviewLimit(kind))}; download it instead.`}
+                </Alert>
+            ) : error ? (
+                <Alert type="error" header="Preview failed">
+                    {error}
+                </Alert>
+            ) : !preview ? (
+                <Spinner size="large" />
+            ) : (
+                <PreviewContent kind={kind} url={preview.url} text={preview.text} name={item.displayName} />
+            )}
+        </Modal>
+    );
+};
+
+/**
+ * Share Link Components
+ */
+const ShareLinkModal = ({ item, onCreate, onDismiss }) => {
+    const [expiry, setExpiry] = useState(SHARE_EXPIRY_OPTIONS[SHARE_EXPIRY_OPTIONS.length - 1]);
+    const [link, setLink] = useState(null);
+    const [creating, setCreating] = useState(false);
+    const [copied, setCopied] = useState(false);
+    const [showQrCode, setShowQrCode] = useState(false);
+    const [qrCode, setQrCode] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        if (!showQrCode || !link) return;
+        QRCode.toDataURL(link.url, { width: 256, margin: 1 })
+            .then(setQrCode)
+            .catch(qrError => {
+                console.error('Error creating QR code:', qrError);
+                setError(`Error creating QR code: ${qrError.message}`);
+            });
+    }, [showQrCode, link]);
+
+    const handleCreate = async () => {
+        setCreating(true);
+        setError(null);
+        try {
+            const created = await createShareLink(item, Number(expiry.value), item.level, { bucket: item.bucket, region: item.region });
+            setLink(created);
+            onCreate(created);
+            await navigator.clipboard.writeText(created.url)
+                .then(() => setCopied(true))
+                .catch(copyError => console.error('Error copying link:', copyError));
+        } catch (createError) {
+            console.error('Error creating share link:', createError);
+            setError(`Error creating share link: ${createError.message}`);
+        } finally {
+            setCreating(false);
+        }
+    };
+
+    return (
+        <Modal
+            visible
+            onDismiss={onDismiss}
+            header={`Share ${item.displayName}`}
+            closeAriaLabel="Close dialog"
+            footer={
+                <Box float="right">
+                    <SpaceBetween direction="horizontal" size="xs">
+                        <Button variant={link ? 'primary' : 'link'} onClick={onDismiss}>
+                            {link ? 'Done' : 'Cancel'}
+                        </Button>
+                        {!link && (
+                            <Button variant="primary" onClick={handleCreate} loading={creating}>
+                                Create link
+                            </Button>
+                        )}
+                    </SpaceBetween>
+                </Box>
+            }
+        >
+            <SpaceBetween size="m">
+                <FormField label="Link expires after" description="Anyone with the link can download the file until it expires.">
+                    <Select
+                        selectedOption={expiry}
+                        onChange={({ detail }) => setExpiry(detail.selectedOption)}
+                        options={SHARE_EXPIRY_OPTIONS}
+                        disabled={Boolean(link)}
+                    />
+                </FormField>
+
+                {link && (
+                    <>
+                        <FormField
+                            label="Link"
+                            description={copied ? 'Copied to the clipboard.' : undefined}
+                        >
+                            <CopyToClipboard
+                                variant="inline"
+                                textToCopy={link.url}
+                                textToDisplay={`${link.url.slice(0, 80)}…`}
+                                copySuccessText="Link copied"
+                                copyErrorText="Failed to copy link"
+                            />
+                        </FormField>
+                        {link.expiresAt < link.requestedExpiry && (
+                            <Alert type="warning">
+                                {`This link stops working at ${new Date(link.expiresAt).toLocaleString()}, when your current sign-in credentials expire.`}
+                            </Alert>
+                        )}
+                        <Toggle checked={showQrCode} onChange={({ detail }) => setShowQrCode(detail.checked)}>
+                            Show QR code
+                        </Toggle>
+                        {showQrCode && qrCode && (
+                            <Box textAlign="center">
+                                <img src={qrCode} alt={`QR code for ${item.displayName}`} width={256} height={256} />
+                            </Box>
+                        )}
+                    </>
+                )}
+
+                {error && (
+                    <Alert type="error" header="Error">
+                        {error}
+                    </Alert>
+                )}
+            </SpaceBetween>
+        </Modal>
+    );
+};
+
+const SharedLinksPanel = ({ links, onRemove }) => {
+    if (links.length === 0) return null;
+    const now = Date.now();
+
+    return (
+        <ExpandableSection
+            variant="container"
+            headerText="Shared links"
+            headerCounter={`(${links.filter(link => link.expiresAt > now).length} active)`}
+            headerDescription="Links issued from this browser. A link can be copied again until the page is reloaded; removing it from the list doesn't revoke it."
+        >
+            <Table
+                items={links}
+                trackBy="id"
+                variant="embedded"
+                columnDefinitions={[
+                    {
+                        id: 'name',
+                        header: 'File',
+                        cell: link => `${link.bucket ? `${link.bucket}/` : ''}${link.key} (${link.level})`
+                    },
+                    {
+                        id: 'createdAt',
+                        header: 'Created',
+                        cell: link => formatDate(link.createdAt)
+                    },
+                    {
+                        id: 'expiresAt',
+                        header: 'Expires',
+                        cell: link => (
+                            <StatusIndicator type={link.expiresAt > now ? 'success' : 'stopped'}>
+                                {`${link.expiresAt > now ? 'Active until' : 'Expired'} ${new Date(link.expiresAt).toLocaleString()}`}
+                            </StatusIndicator>
+                        )
+                    },
+                    {
+                        id: 'actions',
+                        header: 'Actions',
+                        cell: link => (
+                            <SpaceBetween direction="horizontal" size="xs">
+                                {link.url && link.expiresAt > now && (
+                                    <CopyToClipboard
+                                        variant="icon"
+                                        textToCopy={link.url}
+                                        copyButtonAriaLabel={`Copy link to ${link.name}`}
+                                        copySuccessText="Link copied"
+                                        copyErrorText="Failed to copy link"
+                                    />
+                                )}
+                                <Button variant="link" onClick={() => onRemove(link.id)}>
+                                    Remove
+                                </Button>
+                            </SpaceBetween>
+                        )
+                    }
+                ]}
+            />
+        </ExpandableSection>
+    );
+};
+
+/**
+ * ZIP Download Modal Component
+ */
+const ZIP_FILE_INDICATORS = {
+    pending: { type: 'pending', label: 'Waiting' },
+    downloading: { type: 'in-progress', label: 'Downloading' },
+    done: { type: 'success', label: 'Added' },
+    failed: { type: 'error', label: 'Failed' }
+};
+
+const ZipDownloadModal = ({ download, onCancel, onDismiss }) => {
+    if (!download) return null;
+
+    const active = download.status === 'preparing' || download.status === 'running';
+    const totalBytes = download.files.reduce((sum, file) => sum + file.size, 0);
+    const loadedBytes = download.files.reduce((sum, file) => sum + file.loaded, 0);
+    const failedCount = download.files.filter(file => file.status === 'failed').length;
+
+    return (
+        <Modal
+            visible
+            size="large"
+            onDismiss={() => !active && onDismiss()}
+            header={`Download ${download.fileName}`}
+            closeAriaLabel="Close dialog"
+            footer={
+                <Box float="right">
+                    {active ? (
+                        <Button onClick={onCancel}>Cancel download</Button>
+                    ) : (
+                        <Button variant="primary" onClick={onDismiss}>Close</Button>
+                    )}
+                </Box>
+            }
+        >
+            <SpaceBetween size="m">
+                <Box color="text-body-secondary">
+                    {download.streamed
+                        ? 'Objects are streamed straight into the file you chose.'
+                        : 'This browser can\'t write files directly, so the archive is assembled in memory before it is saved.'}
+                </Box>
+                <ProgressBar
+                    value={totalBytes ? Math.round((loadedBytes / totalBytes) * 100) : 0}
+                    label="Archive"
+                    description={download.status === 'preparing'
+                        ? 'Listing objects...'
+                        : `${formatBytes(loadedBytes)} of ${formatBytes(totalBytes)} from ${download.files.length} files`}
+                    status={active ? 'in-progress' : download.status === 'done' ? 'success' : 'error'}
+                    resultText={download.status === 'done'
+                        ? `Archive saved${failedCount ? `, ${failedCount} files left out` : ''}`
+                        : download.error || 'Download cancelled'}
+                />
+                {download.files.length > 0 && (
+                    <div className="zip-file-list">
+                        <Table
+                            items={download.files}
+                            trackBy="path"
+                            variant="embedded"
+                            wrapLines
+                            columnDefinitions={[
+                                {
+                                    id: 'path',
+                                    header: 'File',
+                                    cell: file => file.path
+                                },
+                                {
+                                    id: 'size',
+                                    header: 'Size',
+                                    cell: file => formatBytes(file.size)
+                                },
+                                {
+                                    id: 'status',
+                                    header: 'Progress',
+                                    cell: file => (
+                                        <StatusIndicator type={ZIP_FILE_INDICATORS[file.status].type}>
+                                            {file.status === 'downloading' && file.size
+                                                ? `${Math.round((file.loaded / file.size) * 100)}%`
+                                                : file.error || ZIP_FILE_INDICATORS[file.status].label}
+                                        </StatusIndicator>
+                                    )
+                                }
+                            ]}
+                        />
+                    </div>
+                )}
+            </SpaceBetween>
+        </Modal>
+    );
+};
+
+const UploadMonitor = ({ uploadId }) => {
+    const [progress, setProgress] = useState(null);
+    const uploadStateManager = useContext(UploadStateContext);
+
+    useEffect(() => {
+        const updateProgress = () => {
+            const state = uploadStateManager.getUploadState(uploadId);
+            if (state) {
+                setProgress(state);
+            }
+        };
+
+        // Initial update
+        updateProgress();
+
+        // Set up interval for updates
+        const interval = setInterval(updateProgress, UPLOAD_CONFIG.PROGRESS_UPDATE_INTERVAL);
+
+        // Listen for progress events
+        const handleProgress = (event) => {
+            if (event.detail.uploadId === uploadId) {
+                setProgress(event.detail.progress);
+            }
+        };
+
+        window.addEventListener('upload-progress', handleProgress);
+
+        return () => {
+            clearInterval(interval);
+            window.removeEventListener('upload-progress', handleProgress);
+        };
+    }, [uploadId, uploadStateManager]);
+
+    if (!progress) return null;
+
+    return (
+        <Box padding="s">
+            <SpaceBetween size="s">
+                <ProgressBar
+                    value={progress.percentage}
+                    status={progress.status}
+                    label={progress.path}
+                    additionalInfo={
+                        <>
+                            {formatBytes(progress.bytesUploaded)} of {formatBytes(progress.totalSize)} | 
+                            Speed: {progress.uploadSpeed}
+                        </>
+                    }
+                />
+                <Box variant="small">
+                    <SpaceBetween size="s">
+                        <div>Parts uploaded: {progress.loadedParts}/{progress.totalParts}</div>
+                        <div>Estimated time remaining: {progress.estimatedTimeRemaining}</div>
+                        <div>Average speed: {progress.averageSpeed}</div>
+                    </SpaceBetween>
+                    {progress.error && (
+                        <Alert type="error">
+                            {progress.error}
+                            <Button onClick={() => retryUpload(uploadId)}>Retry</Button>
+                        </Alert>
+                    )}
+                </Box>
+            </SpaceBetween>
+        </Box>
+    );
+};
+
+/**
+ * Preferences Page Component
+ */
+const PreferencesPage = ({ user }) => {
+    const username = user.username;
+    const [preferences, setPreferences] = useState(() => loadUserPreferences(username));
+    const [saved, setSaved] = useState(false);
+
+    const update = (changes) => {
+        setPreferences(prev => ({ ...prev, ...changes }));
+        setSaved(false);
+    };
+
+    const fieldError = (id) => {
+        const { min, max } = PREFERENCE_BOUNDS[id];
+        const value = Number(preferences[id]);
+        return preferences[id] === '' || !Number.isInteger(value) || value < min || value > max
+            ? `Enter a whole number from ${min} to ${max}`
+            : null;
+    };
+    const hasErrors = UPLOAD_PREFERENCE_FIELDS.some(({ id }) => fieldError(id));
+
+    const save = () => {
+        const next = clampPreferences(preferences);
+        saveUserPreferences(username, next);
+        applyUserPreferences(next);
+        setPreferences(next);
+        setSaved(true);
+    };
+
+    return (
+        <ContentLayout
+            header={
+                <Header variant="h1" description="Settings for your account in this browser.">
+                    Preferences
+                </Header>
+            }
+        >
+            <form onSubmit={e => e.preventDefault()}>
+                <Form
+                    actions={
+                        <SpaceBetween direction="horizontal" size="xs">
+                            <Button onClick={() => update(clampPreferences(DEFAULT_USER_PREFERENCES))}>
+                                Reset to defaults
+                            </Button>
+                            <Button variant="primary" onClick={save} disabled={hasErrors}>
+                                Save
+                            </Button>
+                        </SpaceBetween>
+                    }
+                >
+                    <SpaceBetween size="l">
+                        {saved && (
+                            <Alert type="success" dismissible onDismiss={() => setSaved(false)}>
+                                Preferences saved. They apply to uploads started from now on; the cleanup interval changes the next time the app loads.
+                            </Alert>
+                        )}
+                        <Container header={<Header variant="h2">Uploads</Header>}>
+                            <ColumnLayout columns={2}>
+                                {UPLOAD_PREFERENCE_FIELDS.map(({ id, label, description }) => (
+                                    <FormField
+                                        key={id}
+                                        label={label}
+                                        description={description}
+                                        constraintText={`From ${PREFERENCE_BOUNDS[id].min} to ${PREFERENCE_BOUNDS[id].max}.`}
+                                        errorText={fieldError(id)}
+                                    >
+                                        <Input
+                                            type="number"
+                                            inputMode="numeric"
+                                            value={String(preferences[id])}
+                                            onChange={({ detail }) => update({ [id]: detail.value })}
+                                        />
+                                    </FormField>
+                                ))}
+                            </ColumnLayout>
+                        </Container>
+                        <Container header={<Header variant="h2">Display</Header>}>
+                            <ColumnLayout columns={2}>
+                                <FormField label="Upload speed">
+                                    <RadioGroup
+                                        value={preferences.speedUnit}
+                                        onChange={({ detail }) => update({ speedUnit: detail.value })}
+                                        items={SPEED_UNIT_OPTIONS}
+                                    />
+                                </FormField>
+                                <FormField label="Dates and times">
+                                    <RadioGroup
+                                        value={preferences.dateFormat}
+                                        onChange={({ detail }) => update({ dateFormat: detail.value })}
+                                        items={DATE_FORMAT_OPTIONS}
+                                    />
+                                </FormField>
+                            </ColumnLayout>
+                        </Container>
+                    </SpaceBetween>
+                </Form>
+            </form>
+        </ContentLayout>
+    );
+};
+
+/**
+ * Profile Page Component
+ */
+const ProfilePage = ({ user }) => {
+    const [attributes, setAttributes] = useState(null);
+    const [drafts, setDrafts] = useState({});
+    const [saving, setSaving] = useState(false);
+    const [message, setMessage] = useState(null);
+    const [verification, setVerification] = useState(null); // { attribute, code, next } while codes are pending
+    const [reloadKey, setReloadKey] = useState(0);
+
+    useEffect(() => {
+        Auth.userAttributes(user)
+            .then(result => {
+                const values = Object.fromEntries(result.map(attribute => [attribute.Name, attribute.Value]));
+                setAttributes(values);
+                setDrafts(Object.fromEntries(EDITABLE_ATTRIBUTES.filter(name => name in values).map(name => [name, values[name]])));
+            })
+            .catch(error => {
+                console.error('Error loading user attributes:', error);
+                setMessage({ type: 'error', text: `Error loading your profile: ${error.message}` });
+                setAttributes({});
+            });
+    }, [user, reloadKey]);
+
+    const reloadAttributes = () => setReloadKey(key => key + 1);
+
+    const changes = attributes
+        ? Object.fromEntries(Object.entries(drafts).filter(([name, value]) => value !== (attributes[name] || '')))
+        : {};
+
+    const save = async () => {
+        setSaving(true);
+        setMessage(null);
+        try {
+            // Cleared fields are deleted; Cognito rejects empty values for most attributes
+            const cleared = Object.keys(changes).filter(name => !changes[name].trim());
+            const updated = Object.fromEntries(Object.entries(changes).filter(([name]) => !cleared.includes(name)));
+            if (Object.keys(updated).length > 0) await Auth.updateUserAttributes(user, updated);
+            if (cleared.length > 0) await Auth.deleteUserAttributes(user, cleared);
+
+            // Cognito sends a code for each changed email or phone number, confirmed one after another
+            const pending = VERIFIED_ATTRIBUTES.filter(name => name in updated);
+            if (pending.length > 0) setVerification({ attribute: pending[0], code: '', next: pending.slice(1) });
+            setMessage({
+                type: 'success',
+                text: pending.length > 0
+                    ? `Profile saved. Enter the code sent to confirm your new ${pending.map(name => getAttributeLabel(name).toLowerCase()).join(' and ')}.`
+                    : 'Profile saved.'
+            });
+            reloadAttributes();
+        } catch (error) {
+            console.error('Error updating user attributes:', error);
+            setMessage({ type: 'error', text: `Error saving your profile: ${error.message}` });
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const sendCode = async (attribute) => {
+        try {
+            await Auth.verifyCurrentUserAttribute(attribute);
+            setVerification(prev => ({ attribute, code: '', next: prev ? [prev.attribute, ...prev.next].filter(name => name !== attribute) : [] }));
+        } catch (error) {
+            console.error('Error sending verification code:', error);
+            setMessage({ type: 'error', text: `Error sending a verification code: ${error.message}` });
+        }
+    };
+
+    const confirmCode = async () => {
+        try {
+            await Auth.verifyCurrentUserAttributeSubmit(verification.attribute, verification.code.trim());
+            const [next, ...rest] = verification.next;
+            setMessage({
+                type: 'success',
+                text: next
+                    ? `${getAttributeLabel(verification.attribute)} confirmed. Enter the code sent to confirm your new ${getAttributeLabel(next).toLowerCase()}.`
+                    : `${getAttributeLabel(verification.attribute)} confirmed.`
+            });
+            setVerification(next ? { attribute: next, code: '', next: rest } : null);
+            reloadAttributes();
+        } catch (error) {
+            console.error('Error confirming verification code:', error);
+            setMessage({ type: 'error', text: `Error confirming the code: ${error.message}` });
+        }
+    };
+
+    const readOnly = attributes
+        ? Object.keys(attributes).filter(name => !EDITABLE_ATTRIBUTES.includes(name)).sort()
+        : [];
+    const unverified = VERIFIED_ATTRIBUTES.filter(name => attributes && attributes[name] && attributes[`${name}_verified`] === 'false');
+
+    return (
+        <ContentLayout
+            header={
+                <Header variant="h1" description="Your account details in the user pool.">
+                    Profile
+                </Header>
+            }
+        >
+            {attributes === null ? (
+                <Box textAlign="center" padding="l">
+                    <Spinner size="large" />
+                </Box>
+            ) : (
+                <SpaceBetween size="l">
+                    {message && (
+                        <Alert type={message.type} dismissible onDismiss={() => setMessage(null)}>
+                            {message.text}
+                        </Alert>
+                    )}
+                    <Container header={<Header variant="h2" description={user.username}>Account</Header>}>
+                        <KeyValuePairs
+                            columns={3}
+                            items={readOnly.map(name => ({ label: getAttributeLabel(name), value: attributes[name] || '-' }))}
+                        />
+                    </Container>
+                    <form onSubmit={e => e.preventDefault()}>
+                        <Form
+                            actions={
+                                <Button
+                                    variant="primary"
+                                    onClick={save}
+                                    loading={saving}
+                                    disabled={Object.keys(changes).length === 0}
+                                >
+                                    Save changes
+                                </Button>
+                            }
+                        >
+                            <Container
+                                header={
+                                    <Header
+                                        variant="h2"
+                                        description="Attributes your administrator doesn't let you change are rejected when you save."
+                                    >
+                                        Details
+                                    </Header>
+                                }
+                            >
+                                <ColumnLayout columns={2}>
+                                    {EDITABLE_ATTRIBUTES.filter(name => name in drafts || ['name', 'email', 'phone_number'].includes(name)).map(name => (
+                                        <FormField
+                                            key={name}
+                                            label={getAttributeLabel(name)}
+                                            constraintText={name === 'phone_number' ? 'International format, such as +14155550100.' : undefined}
+                                            secondaryControl={unverified.includes(name) && (
+                                                <Button onClick={() => sendCode(name)}>Verify</Button>
+                                            )}
+                                        >
+                                            <Input
+                                                value={drafts[name] || ''}
+                                                onChange={({ detail }) => setDrafts(prev => ({ ...prev, [name]: detail.value }))}
+                                                type={name === 'email' ? 'email' : 'text'}
+                                            />
+                                        </FormField>
+                                    ))}
+                                </ColumnLayout>
+                            </Container>
+                        </Form>
+                    </form>
+                    {verification && (
+                        <Container header={<Header variant="h2">{`Confirm ${getAttributeLabel(verification.attribute).toLowerCase()}`}</Header>}>
+                            <SpaceBetween direction="horizontal" size="xs">
+                                <FormField label="Verification code">
+                                    <Input
+                                        value={verification.code}
+                                        onChange={({ detail }) => setVerification(prev => ({ ...prev, code: detail.value }))}
+                                        inputMode="numeric"
+                                        autoFocus
+                                    />
+                                </FormField>
+                                <Box padding={{ top: 'xl' }}>
+                                    <SpaceBetween direction="horizontal" size="xs">
+                                        <Button variant="primary" onClick={confirmCode} disabled={!verification.code.trim()}>Confirm</Button>
+                                        <Button onClick={() => sendCode(verification.attribute)}>Send a new code</Button>
+                                    </SpaceBetween>
+                                </Box>
+                            </SpaceBetween>
+                        </Container>
+                    )}
+                </SpaceBetween>
+            )}
+        </ContentLayout>
+    );
+};
+
+/**
+ * Security Page Component
+ */
+const EMPTY_PASSWORD_FORM = { current: '', next: '', confirm: '' };
+
+const SecurityPage = ({ user }) => {
+    const [message, setMessage] = useState(null);
+    const [passwords, setPasswords] = useState(EMPTY_PASSWORD_FORM);
+    const [changingPassword, setChangingPassword] = useState(false);
+    const [mfa, setMfa] = useState(null); // Preferred MFA as Cognito reports it, such as 'NOMFA'
+    const [totpSetup, setTotpSetup] = useState(null); // { secret, qrCode, code } while setting up an app
+    const [devices, setDevices] = useState(null);
+    const [devicesError, setDevicesError] = useState(null);
+    const [reloadKey, setReloadKey] = useState(0);
+
+    const showError = (text, error) => {
+        console.error(`${text}:`, error);
+        setMessage({ type: 'error', text: `${text}: ${error.message || error}` });
+    };
+
+    useEffect(() => {
+        Auth.getPreferredMFA(user, { bypassCache: true })
+            .then(setMfa)
+            .catch(error => {
+                console.error('Error reading MFA setting:', error);
+                setMessage({ type: 'error', text: `Error reading your MFA setting: ${error.message || error}` });
+            });
+        // Device tracking is optional in the user pool; without it there is nothing to list
+        Auth.fetchDevices()
+            .then(result => {
+                setDevices(result);
+                setDevicesError(null);
+            })
+            .catch(error => {
+                console.error('Error listing remembered devices:', error);
+                setDevices([]);
+                setDevicesError(error.message || String(error));
+            });
+    }, [user, reloadKey]);
+
+    const reload = () => setReloadKey(key => key + 1);
+
+    const passwordError = passwords.confirm && passwords.next !== passwords.confirm ? 'The passwords don\'t match' : null;
+
+    const changePassword = async () => {
+        setChangingPassword(true);
+        setMessage(null);
+        try {
+            await Auth.changePassword(user, passwords.current, passwords.next);
+            setPasswords(EMPTY_PASSWORD_FORM);
+            setMessage({ type: 'success', text: 'Password changed.' });
+        } catch (error) {
+            showError('Error changing your password', error);
+        } finally {
+            setChangingPassword(false);
+        }
+    };
+
+    const startTotpSetup = async () => {
+        setMessage(null);
         try {
-            await Promise.all(retryPromises);
-            return true;
+            const secret = await Auth.setupTOTP(user);
+            const qrCode = await QRCode.toDataURL(getTotpUri(user.username, secret), { width: 200, margin: 1 });
+            setTotpSetup({ secret, qrCode, code: '' });
         } catch (error) {
-            console.error('Failed to retry all failed parts:', error);
-            throw error;
+            showError('Error starting MFA setup', error);
         }
-    }    
-    
-}
-
-// Export the MultipartUploadHandler class
-export { MultipartUploadHandler };
-/**
- * Progress Monitoring Components
- */
-
-const UploadProgress = ({ historyList }) => {
-    const [retrying, setRetrying] = useState({});
-    const uploadStateManager = useContext(UploadStateContext);
+    };
 
-    const handleRetryAllFailedParts = async (item) => {
+    const confirmTotpSetup = async () => {
         try {
-            setRetrying(prev => ({ ...prev, [item.id]: true }));
-            
-            // Find the upload handler for this file
-            const handler = uploadStateManager.getActiveUploads().find(h => h.uploadId === item.id);
-            if (!handler) {
-                throw new Error('Upload handler not found');
-            }
+            await Auth.verifyTotpToken(user, totpSetup.code.trim());
+            await Auth.setPreferredMFA(user, 'TOTP');
+            setTotpSetup(null);
+            setMessage({ type: 'success', text: 'Authenticator app MFA is on. You\'ll be asked for a code when you sign in.' });
+            reload();
+        } catch (error) {
+            showError('Error confirming the authenticator code', error);
+        }
+    };
 
-            // Retry all failed parts
-            await handler.retryFailedParts();
-            
-            // Refresh the upload status
-            await handler.updateOverallProgress();
+    const turnOffMfa = async () => {
+        setMessage(null);
+        try {
+            await Auth.setPreferredMFA(user, 'NOMFA');
+            setMessage({ type: 'success', text: 'MFA is off.' });
+            reload();
+        } catch (error) {
+            showError('Error turning off MFA', error);
+        }
+    };
 
+    const updateThisDevice = async (remember) => {
+        setMessage(null);
+        try {
+            await (remember ? Auth.rememberDevice() : Auth.forgetDevice());
+            setMessage({ type: 'success', text: remember ? 'This device is remembered.' : 'This device is forgotten.' });
+            reload();
         } catch (error) {
-            console.error('Failed to retry parts:', error);
-            // Show error alert
-            setAlertMessage(`Failed to retry upload parts: ${error.message}`);
-            setVisibleAlert(true);
-        } finally {
-            setRetrying(prev => ({ ...prev, [item.id]: false }));
+            showError(remember ? 'Error remembering this device' : 'Error forgetting this device', error);
         }
     };
 
     return (
-        <Container
+        <ContentLayout
             header={
-                <Header variant="h2">
-                    Active Uploads & Progress
+                <Header variant="h1" description="Password, multi-factor authentication and devices for your account.">
+                    Security
                 </Header>
             }
         >
-            {historyList.map((item) => (
-                <SpaceBetween size="m" key={item.id}>
-                    <Container
-                        header={
-                            <Header variant="h3">
-                                {item.filename}
-                            </Header>
+            <SpaceBetween size="l">
+                {message && (
+                    <Alert type={message.type} dismissible onDismiss={() => setMessage(null)}>
+                        {message.text}
+                    </Alert>
+                )}
+
+                <form onSubmit={e => e.preventDefault()}>
+                    <Form
+                        actions={
+                            <Button
+                                variant="primary"
+                                onClick={changePassword}
+                                loading={changingPassword}
+                                disabled={!passwords.current || !passwords.next || passwords.next !== passwords.confirm}
+                            >
+                                Change password
+                            </Button>
                         }
                     >
-                        <SpaceBetween size="s">
-                            {/* Warning Message */}
-                            {item.status === 'in-progress' && (
-                                <Alert
-                                    type="warning"
-                                    statusIconAriaLabel="Warning"
-                                    header="Upload in progress"
-                                >
-                                    <span style={{ color: '#d13212' }}>
-                                        Please do not close this tab or navigate away until the upload is complete.
-                                    </span>
-                                </Alert>
-                            )}
-
-                            {/* Main Progress Bar */}
-                            <ProgressBar
-                                status={item.status}
-                                value={item.percentage}
-                                variant="standalone"
-                                label="Upload Progress"
-                                additionalInfo={`${item.percentage ? item.percentage.toFixed(1) : 0}%`}
-                            />
-
-                            {/* Basic Statistics */}
-                            <ColumnLayout columns={2} variant="text-grid">
-                                <div>
-                                    <Box variant="awsui-key-label">File Size</Box>
-                                    <div>{item.filesize}</div>
-                                </div>
-                                <div>
-                                    <Box variant="awsui-key-label">Upload Speed</Box>
-                                    <div>{item.uploadSpeed || 'Calculating...'}</div>
-                                </div>
-                                <div>
-                                    <Box variant="awsui-key-label">Time Remaining</Box>
-                                    <div>{item.estimatedTimeRemaining || 'Calculating...'}</div>
-                                </div>
-                                <div>
-                                    <Box variant="awsui-key-label">Elapsed Time</Box>
-                                    <div>{item.elapsedTime || '0s'}</div>
-                                </div>
+                        <Container header={<Header variant="h2">Password</Header>}>
+                            <ColumnLayout columns={3}>
+                                <FormField label="Current password">
+                                    <Input
+                                        type="password"
+                                        value={passwords.current}
+                                        onChange={({ detail }) => setPasswords(prev => ({ ...prev, current: detail.value }))}
+                                    />
+                                </FormField>
+                                <FormField label="New password" constraintText="Must meet the user pool's password policy.">
+                                    <Input
+                                        type="password"
+                                        value={passwords.next}
+                                        onChange={({ detail }) => setPasswords(prev => ({ ...prev, next: detail.value }))}
+                                    />
+                                </FormField>
+                                <FormField label="Confirm new password" errorText={passwordError}>
+                                    <Input
+                                        type="password"
+                                        value={passwords.confirm}
+                                        onChange={({ detail }) => setPasswords(prev => ({ ...prev, confirm: detail.value }))}
+                                    />
+                                </FormField>
                             </ColumnLayout>
+                        </Container>
+                    </Form>
+                </form>
 
-                            {/* Failed Parts Alert and Retry Option */}
-                            {item.statistics?.failed > 0 && (
-                                <Alert
-                                    type="error"
-                                    header={`Upload Partially Failed - ${item.statistics.failed} parts failed`}
-                                    action={
-                                        <Button
-                                            onClick={() => handleRetryAllFailedParts(item)}
-                                            loading={retrying[item.id]}
-                                            disabled={retrying[item.id]}
-                                        >
-                                            {retrying[item.id] ? 'Retrying...' : 'Retry Failed Parts'}
+                <Container
+                    header={
+                        <Header
+                            variant="h2"
+                            description="Ask for a code from an authenticator app when you sign in."
+                            actions={mfa === 'SOFTWARE_TOKEN_MFA'
+                                ? <Button onClick={turnOffMfa}>Turn off</Button>
+                                : !totpSetup && <Button onClick={startTotpSetup} disabled={mfa === null}>Set up authenticator app</Button>}
+                        >
+                            Multi-factor authentication
+                        </Header>
+                    }
+                >
+                    <SpaceBetween size="m">
+                        {mfa === null ? (
+                            <StatusIndicator type="loading">Loading</StatusIndicator>
+                        ) : mfa === 'SOFTWARE_TOKEN_MFA' ? (
+                            <StatusIndicator type="success">Authenticator app</StatusIndicator>
+                        ) : mfa === 'SMS_MFA' ? (
+                            <StatusIndicator type="info">Text message</StatusIndicator>
+                        ) : (
+                            <StatusIndicator type="stopped">Off</StatusIndicator>
+                        )}
+                        {totpSetup && (
+                            <ColumnLayout columns={2}>
+                                <SpaceBetween size="xs">
+                                    <Box>Scan the code with your authenticator app, or enter the key by hand.</Box>
+                                    <img src={totpSetup.qrCode} alt="Authenticator app setup QR code" width={200} height={200} />
+                                    <CopyToClipboard
+                                        variant="inline"
+                                        textToCopy={totpSetup.secret}
+                                        copySuccessText="Key copied"
+                                        copyErrorText="Failed to copy key"
+                                    />
+                                </SpaceBetween>
+                                <SpaceBetween size="xs">
+                                    <FormField label="Code from the app">
+                                        <Input
+                                            value={totpSetup.code}
+                                            onChange={({ detail }) => setTotpSetup(prev => ({ ...prev, code: detail.value }))}
+                                            inputMode="numeric"
+                                        />
+                                    </FormField>
+                                    <SpaceBetween direction="horizontal" size="xs">
+                                        <Button variant="primary" onClick={confirmTotpSetup} disabled={!/^\d{6}$/.test(totpSetup.code.trim())}>
+                                            Turn on
                                         </Button>
-                                    }
-                                >
-                                    Some parts of the file failed to upload. You can retry the failed parts.
-                                    <Box variant="small" color="text-body-secondary">
-                                        Completed: {item.statistics.completed} parts
-                                        <br />
-                                        Failed: {item.statistics.failed} parts
-                                    </Box>
-                                </Alert>
-                            )}
+                                        <Button variant="link" onClick={() => setTotpSetup(null)}>Cancel</Button>
+                                    </SpaceBetween>
+                                </SpaceBetween>
+                            </ColumnLayout>
+                        )}
+                    </SpaceBetween>
+                </Container>
 
-                            {/* General Error Display */}
-                            {item.error && !item.statistics?.failed && (
-                                <Alert type="error" header="Upload Error">
-                                    {item.error}
-                                </Alert>
-                            )}
-                        </SpaceBetween>
-                    </Container>
-                </SpaceBetween>
-            ))}
-        </Container>
+                <Table
+                    header={
+                        <Header
+                            variant="h2"
+                            description="Devices that can skip MFA when you sign in."
+                            actions={
+                                <SpaceBetween direction="horizontal" size="xs">
+                                    <Button onClick={() => updateThisDevice(false)} disabled={Boolean(devicesError)}>Forget this device</Button>
+                                    <Button onClick={() => updateThisDevice(true)} disabled={Boolean(devicesError)}>Remember this device</Button>
+                                </SpaceBetween>
+                            }
+                        >
+                            Remembered devices
+                        </Header>
+                    }
+                    items={devices || []}
+                    loading={devices === null}
+                    loadingText="Loading devices"
+                    trackBy="id"
+                    columnDefinitions={[
+                        { id: 'name', header: 'Device', cell: device => device.name || '-' },
+                        { id: 'id', header: 'Device key', cell: device => device.id }
+                    ]}
+                    empty={
+                        <Box textAlign="center" color="text-body-secondary">
+                            {devicesError ? `Remembered devices aren't available: ${devicesError}` : 'No remembered devices'}
+                        </Box>
+                    }
+                />
+            </SpaceBetween>
+        </ContentLayout>
     );
 };
 
+/**
+ * History Page Component
+ */
+const HISTORY_STATUS = {
+    success: { type: 'success', label: 'Uploaded' },
+    error: { type: 'error', label: 'Failed' },
+    cancelled: { type: 'stopped', label: 'Cancelled' }
+};
 
-const UploadMonitor = ({ uploadId }) => {
-    const [progress, setProgress] = useState(null);
-    const uploadStateManager = useContext(UploadStateContext);
+const HISTORY_STATUS_OPTIONS = [
+    { value: 'all', label: 'Any status' },
+    ...Object.entries(HISTORY_STATUS).map(([value, { label }]) => ({ value, label }))
+];
+
+const HISTORY_PERIOD_OPTIONS = [
+    { value: '1', label: 'Last 24 hours' },
+    { value: '7', label: 'Last 7 days' },
+    { value: '30', label: 'Last 30 days' },
+    { value: 'all', label: 'All time' }
+];
+
+const HISTORY_PAGE_SIZE = 50;
+
+const HistoryPage = ({ user }) => {
+    const username = user.username;
+    const [records, setRecords] = useState(null);
+    const [error, setError] = useState(null);
+    const [filterText, setFilterText] = useState('');
+    const [status, setStatus] = useState(HISTORY_STATUS_OPTIONS[0]);
+    const [period, setPeriod] = useState(HISTORY_PERIOD_OPTIONS[1]);
+    const [currentPageIndex, setCurrentPageIndex] = useState(1);
+    const [reloadKey, setReloadKey] = useState(0);
 
     useEffect(() => {
-        const updateProgress = () => {
-            const state = uploadStateManager.getUploadState(uploadId);
-            if (state) {
-                setProgress(state);
-            }
-        };
-
-        // Initial update
-        updateProgress();
-
-        // Set up interval for updates
-        const interval = setInterval(updateProgress, UPLOAD_CONFIG.PROGRESS_UPDATE_INTERVAL);
-
-        // Listen for progress events
-        const handleProgress = (event) => {
-            if (event.detail.uploadId === uploadId) {
-                setProgress(event.detail.progress);
-            }
-        };
-
-        window.addEventListener('upload-progress', handleProgress);
-
-        return () => {
-            clearInterval(interval);
-            window.removeEventListener('upload-progress', handleProgress);
-        };
-    }, [uploadId, uploadStateManager]);
+        setRecords(null);
+        loadUploadRecords(username)
+            .then(result => setRecords(result.sort((a, b) => b.finishedAt - a.finishedAt)))
+            .catch(loadError => {
+                console.error('Error loading upload history:', loadError);
+                setError(`Error loading upload history: ${loadError.message}`);
+                setRecords([]);
+            });
+    }, [username, reloadKey]);
+
+    const since = period.value === 'all' ? 0 : Date.now() - Number(period.value) * 24 * 60 * 60 * 1000;
+    const search = filterText.trim().toLowerCase();
+    const filtered = (records || []).filter(record =>
+        record.finishedAt >= since &&
+        (status.value === 'all' || record.status === status.value) &&
+        (!search || `${record.bucket}/${record.key} ${record.fileName}`.toLowerCase().includes(search)));
+    const delivered = filtered.filter(record => record.status === 'success');
+    const pagesCount = Math.max(1, Math.ceil(filtered.length / HISTORY_PAGE_SIZE));
+    const pageIndex = Math.min(currentPageIndex, pagesCount);
+
+    const exportRecords = (format) => {
+        const rows = toExportRows(filtered);
+        const stamp = new Date().toISOString().slice(0, 10);
+        if (format === 'csv') {
+            saveTextFile(`upload-history-${stamp}.csv`, toCsv(rows), 'text/csv');
+        } else {
+            saveTextFile(`upload-history-${stamp}.json`, JSON.stringify(rows, null, 2), 'application/json');
+        }
+    };
 
-    if (!progress) return null;
+    const clearHistory = async () => {
+        if (!window.confirm('Delete the upload history stored in this browser?')) return;
+        try {
+            await clearUploadRecords(username);
+            setReloadKey(key => key + 1);
+        } catch (clearError) {
+            console.error('Error clearing upload history:', clearError);
+            setError(`Error clearing upload history: ${clearError.message}`);
+        }
+    };
 
     return (
-        <Box padding="s">
-            <SpaceBetween size="s">
-                <ProgressBar
-                    value={progress.percentage}
-                    status={progress.status}
-                    label={progress.path}
-                    additionalInfo={
-                        <>
-                            {formatBytes(progress.bytesUploaded)} of {formatBytes(progress.totalSize)} | 
-                            Speed: {progress.uploadSpeed}
-                        </>
+        <ContentLayout
+            header={
+                <Header variant="h1" description="Uploads finished, failed or cancelled in this browser.">
+                    Upload history
+                </Header>
+            }
+        >
+            <SpaceBetween size="l">
+                {error && (
+                    <Alert type="error" dismissible onDismiss={() => setError(null)}>
+                        {error}
+                    </Alert>
+                )}
+                <Table
+                    items={filtered.slice((pageIndex - 1) * HISTORY_PAGE_SIZE, pageIndex * HISTORY_PAGE_SIZE)}
+                    loading={records === null}
+                    loadingText="Loading upload history"
+                    trackBy="id"
+                    header={
+                        <Header
+                            variant="h2"
+                            counter={records ? `(${filtered.length})` : undefined}
+                            description={`${delivered.length} file${delivered.length === 1 ? '' : 's'} uploaded, ${formatBytes(delivered.reduce((total, record) => total + record.size, 0))} in total`}
+                            actions={
+                                <SpaceBetween direction="horizontal" size="xs">
+                                    <Button iconName="refresh" ariaLabel="Refresh" onClick={() => setReloadKey(key => key + 1)} />
+                                    <Button onClick={clearHistory} disabled={!records || records.length === 0}>
+                                        Clear history
+                                    </Button>
+                                    <ButtonDropdown
+                                        items={[
+                                            { id: 'csv', text: 'CSV' },
+                                            { id: 'json', text: 'JSON' }
+                                        ]}
+                                        onItemClick={({ detail }) => exportRecords(detail.id)}
+                                        disabled={filtered.length === 0}
+                                    >
+                                        Export
+                                    </ButtonDropdown>
+                                </SpaceBetween>
+                            }
+                        >
+                            Uploads
+                        </Header>
+                    }
+                    filter={
+                        <SpaceBetween direction="horizontal" size="xs">
+                            <TextFilter
+                                filteringText={filterText}
+                                filteringPlaceholder="Find by key or file name"
+                                onChange={({ detail }) => {
+                                    setFilterText(detail.filteringText);
+                                    setCurrentPageIndex(1);
+                                }}
+                            />
+                            <Select
+                                selectedOption={status}
+                                onChange={({ detail }) => {
+                                    setStatus(detail.selectedOption);
+                                    setCurrentPageIndex(1);
+                                }}
+                                options={HISTORY_STATUS_OPTIONS}
+                            />
+                            <Select
+                                selectedOption={period}
+                                onChange={({ detail }) => {
+                                    setPeriod(detail.selectedOption);
+                                    setCurrentPageIndex(1);
+                                }}
+                                options={HISTORY_PERIOD_OPTIONS}
+                            />
+                        </SpaceBetween>
+                    }
+                    pagination={
+                        <Pagination
+                            currentPageIndex={pageIndex}
+                            pagesCount={pagesCount}
+                            onChange={({ detail }) => setCurrentPageIndex(detail.currentPageIndex)}
+                        />
+                    }
+                    columnDefinitions={[
+                        {
+                            id: 'finishedAt',
+                            header: 'Finished',
+                            cell: record => formatDate(record.finishedAt)
+                        },
+                        {
+                            id: 'key',
+                            header: 'Object',
+                            cell: record => `${record.bucket}/${record.key}`
+                        },
+                        {
+                            id: 'status',
+                            header: 'Status',
+                            cell: record => (
+                                <StatusIndicator type={HISTORY_STATUS[record.status].type}>
+                                    {HISTORY_STATUS[record.status].label}
+                                </StatusIndicator>
+                            )
+                        },
+                        {
+                            id: 'size',
+                            header: 'Size',
+                            cell: record => formatBytes(record.size)
+                        },
+                        {
+                            id: 'duration',
+                            header: 'Duration',
+                            cell: record => formatTime(record.duration)
+                        },
+                        {
+                            id: 'averageSpeed',
+                            header: 'Average speed',
+                            cell: record => record.status === 'success' ? formatRate(record.averageSpeed) : '-'
+                        },
+                        {
+                            id: 'checksum',
+                            header: 'SHA-256',
+                            cell: record => record.checksum
+                                ? `${record.checksum}${record.verification === 'verified' ? ' (verified)' : ''}`
+                                : '-'
+                        },
+                        {
+                            id: 'error',
+                            header: 'Error',
+                            cell: record => record.error || '-'
+                        }
+                    ]}
+                    wrapLines
+                    empty={
+                        <Box textAlign="center" color="text-body-secondary">
+                            {records && records.length > 0 ? 'No uploads match the filters' : 'No uploads recorded yet'}
+                        </Box>
                     }
                 />
-                <Box variant="small">
-                    <SpaceBetween size="s">
-                        <div>Parts uploaded: {progress.loadedParts}/{progress.totalParts}</div>
-                        <div>Estimated time remaining: {progress.estimatedTimeRemaining}</div>
-                        <div>Average speed: {progress.averageSpeed}</div>
-                    </SpaceBetween>
-                    {progress.error && (
-                        <Alert type="error">
-                            {progress.error}
-                            <Button onClick={() => retryUpload(uploadId)}>Retry</Button>
-                        </Alert>
-                    )}
-                </Box>
             </SpaceBetween>
-        </Box>
+        </ContentLayout>
     );
 };
 
@@ -1022,21 +4941,23 @@ const UploadMonitor = ({ uploadId }) => {
 const ServiceNavigation = () => {
     const location = useLocation();
     let navigate = useNavigate();
+    const { toHref, toRoute } = useRouteHrefs();
 
     function onFollowHandler(event) {
         if (!event.detail.external) {
             event.preventDefault();
-            navigate(event.detail.href);
+            navigate(toRoute(event.detail.href));
         }
     }
 
     return (
         <SideNavigation
-            activeHref={location.pathname}
+            activeHref={toHref(location.pathname === '/history' ? '/history' : '/')}
             header={null}
             onFollow={onFollowHandler}
             items={[
-                {type: "link", text: "Upload", href: "/"},
+                {type: "link", text: "Upload", href: toHref("/")},
+                {type: "link", text: "History", href: toHref("/history")},
                 {type: "divider"},
                 {
                     type: "link",
@@ -1051,7 +4972,7 @@ const ServiceNavigation = () => {
 /**
  * Content Component
  */
-const Content = () => {
+const Content = ({ user, onShowDetails }) => {
     const fileInput = useRef(null);
     const folderInput = useRef(null);
     const [visibleAlert, setVisibleAlert] = useState(false);
@@ -1059,15 +4980,54 @@ const Content = () => {
     const [uploadList, setUploadList] = useState([]);
     const [fileList, setFileList] = useState([]);
     const [historyList, setHistoryList] = useState([]);
-    const [currentPath, setCurrentPath] = useState('');
+    const location = useLocation();
+    const navigate = useNavigate();
+    const { toHref, toRoute } = useRouteHrefs();
+    // The route decides which bucket, folder and level are on screen
+    const route = parseBucketRoute(useMatch('/b/:bucket/*'), location.search);
+    const viewingBucket = Boolean(route);
+    const bucket = route ? route.bucket : getActiveBucket();
+    const bucketName = bucket.name;
+    const currentPath = route ? route.path : '';
+    const accessLevel = route ? route.level : 'protected';
     const [bucketContents, setBucketContents] = useState(null);
-    const [bucketName, setBucketName] = useState('');
-    const [viewingBucket, setViewingBucket] = useState(false);
     const [uploadStateManager] = useState(() => new UploadStateManager());
     const [isUploading, setIsUploading] = useState(false);
     const [showDeleteConfirmation, setShowDeleteConfirmation] = useState(false);
     const [itemToDelete, setItemToDelete] = useState(null);
     const [refreshKey, setRefreshKey] = useState(0);
+    const [resumableUploads, setResumableUploads] = useState([]);
+    const uploadFileRef = useRef(null);
+    const listBucketContentsRef = useRef(null); // Latest listBucketContents, so the route effect runs on route changes only
+    const [uploadQueue] = useState(() => new UploadQueue(entry => uploadFileRef.current(entry)));
+    const [queueItems, setQueueItems] = useState([]);
+    const [isDragging, setIsDragging] = useState(false);
+    const [dropFolder, setDropFolder] = useState(null);
+    const dragDepth = useRef(0);
+    const listingRef = useRef({ path: '', level: 'protected', items: [], entries: new Map() }); // Raw objects of every page loaded so far, and the rows built from them
+    const [listingToken, setListingToken] = useState(null);
+    const [isLoadingMore, setIsLoadingMore] = useState(false);
+    const [filterQuery, setFilterQuery] = useState({ tokens: [], operation: 'and' });
+    const [searchRecursive, setSearchRecursive] = useState(false);
+    const username = user ? user.username : '';
+    const [tablePreferences, setTablePreferences] = useState(() => loadTablePreferences(username));
+    const [sortingColumn, setSortingColumn] = useState({ sortingField: 'displayName' });
+    const [sortingDescending, setSortingDescending] = useState(false);
+    const [currentPageIndex, setCurrentPageIndex] = useState(1);
+    const [identityId, setIdentityId] = useState('');
+    const [selectedItems, setSelectedItems] = useState([]);
+    const [bulkAction, setBulkAction] = useState(null);
+    const [uploadReview, setUploadReview] = useState(null); // Dry run confirmed before a batch is queued
+    const [isCheckingConflicts, setIsCheckingConflicts] = useState(false);
+    const [zipDownload, setZipDownload] = useState(null);
+    const [uploadOptions, setUploadOptions] = useState(EMPTY_UPLOAD_OPTIONS);
+    const [fileOverrides, setFileOverrides] = useState({}); // Per-file upload options by token id
+    const [overrideFileId, setOverrideFileId] = useState(null);
+    const [previewItem, setPreviewItem] = useState(null);
+    const [shareItem, setShareItem] = useState(null);
+    const [sharedLinks, setSharedLinks] = useState(() => loadSharedLinks(username));
+
+    useEffect(() => uploadQueue.subscribe(setQueueItems), [uploadQueue]);
 
     // handleDelete function
     const handleDelete = async () => {
@@ -1080,24 +5040,24 @@ const Content = () => {
 
                     // List all contents including hidden files
                     const folderContents = await Storage.list(folderPath + '/', { 
-                        level: 'protected',
+                        level: accessLevel,
                         pageSize: 1000
                     });
 
                     // Delete all items in the folder
                     for (const item of folderContents.results) {
                         console.log('Deleting item:', item.key);
-                        await Storage.remove(item.key, { level: 'protected' });
+                        await Storage.remove(item.key, { level: accessLevel });
                     }
 
                     // Delete the folder marker itself
-                    await Storage.remove(folderPath + '/', { level: 'protected' });
+                    await Storage.remove(folderPath + '/', { level: accessLevel });
 
                     console.log('Folder deletion completed');
                 } else {
                     // Delete single file
                     console.log('Deleting file:', itemToDelete.key);
-                    await Storage.remove(itemToDelete.key, { level: 'protected' });
+                    await Storage.remove(itemToDelete.key, { level: accessLevel });
                 }
 
                 // Wait longer for S3 consistency
@@ -1117,30 +5077,185 @@ const Content = () => {
         }
     };
 
-    // Effect for initialization and cleanup
+    const openBulkAction = (type, items = selectedItems) => {
+        setBulkAction({
+            type,
+            items,
+            destination: currentPath,
+            newName: type === 'rename' ? items[0].key.split('/').pop() : '',
+            level: accessLevel,
+            bucket: bucket.name,
+            region: bucket.region,
+            existingKeys: listingRef.current.items.map(item => item.key),
+            conflictPolicy: 'skip',
+            skipped: 0,
+            status: 'confirm',
+            processed: 0,
+            total: 0,
+            current: '',
+            failures: []
+        });
+    };
+
+    // Runs the confirmed action object by object, collecting failures instead of stopping
+    const runBulkAction = async () => {
+        const { type, items } = bulkAction;
+        const target = { bucket: bulkAction.bucket, region: bulkAction.region };
+        const isMove = type === 'move' || type === 'rename';
+        const failures = [];
+        setBulkAction(prev => ({ ...prev, status: 'running' }));
+
+        let objects = [];
+        try {
+            objects = await expandSelection(items, currentPath, bulkAction.level, target);
+            // Folder markers have nothing to download
+            if (type === 'download') objects = objects.filter(object => !object.isMarker);
+        } catch (error) {
+            console.error('Error listing selected folders:', error);
+            failures.push({ key: currentPath || '/', error: error.message });
+        }
+        let plan = objects.map(object => ({ object, destinationKey: getDestinationKey(bulkAction, object) }));
+        // Checked against S3 before anything is written; the loaded listing may be missing pages
+        let existingKeys = new Set();
+        if (type === 'rename' && plan.length > 0) {
+            const renamedKey = joinPath(getParentPath(items[0].key), bulkAction.newName.trim());
+            try {
+                if (await isKeyTaken(renamedKey, bulkAction.level, target)) {
+                    failures.push({ key: renamedKey, error: `An object named ${bulkAction.newName.trim()} already exists` });
+                    plan = [];
+                }
+            } catch (error) {
+                console.error('Error checking the new name:', error);
+                failures.push({ key: renamedKey, error: error.message });
+                plan = [];
+            }
+        }
+        if ((type === 'copy' || type === 'move') && plan.length > 0) {
+            try {
+                const destination = normalizeFolderPath(bulkAction.destination);
+                existingKeys = await listDestinationKeys(destination, bulkAction.level, target);
+                plan = resolveCopyConflicts(plan, destination, bulkAction.conflictPolicy, existingKeys);
+            } catch (error) {
+                console.error('Error listing destination folder:', error);
+                failures.push({ key: bulkAction.destination || '/', error: error.message });
+                plan = [];
+            }
+        }
+        const skipped = plan.filter(step => step.skip).length;
+        const total = isMove ? (plan.length - skipped) * 2 : plan.length;
+        setBulkAction(prev => ({ ...prev, total, failures: [...failures] }));
+
+        if (isMove) {
+            const result = await moveObjects(plan, bulkAction.level, target, existingKeys, (current, processed) => {
+                setBulkAction(prev => ({ ...prev, current, processed }));
+            });
+            failures.push(...result.failures);
+            setBulkAction(prev => ({ ...prev, rolledBack: result.rolledBack, processed: total, skipped }));
+        }
+
+        for (const { object, destinationKey, skip } of isMove ? [] : plan) {
+            if (skip) {
+                setBulkAction(prev => ({ ...prev, processed: prev.processed + 1, skipped: prev.skipped + 1 }));
+                continue;
+            }
+            setBulkAction(prev => ({ ...prev, current: object.relativePath }));
+            try {
+                switch (type) {
+                    case 'delete':
+                        await Storage.remove(object.key, { level: bulkAction.level, ...target });
+                        break;
+                    case 'download':
+                        await downloadObject(object.key, bulkAction.level, target);
+                        // Browsers drop downloads that are triggered too close together
+                        await new Promise(resolve => setTimeout(resolve, 500));
+                        break;
+                    case 'copy':
+                        if (destinationKey === object.key) throw new Error('Source and destination are the same');
+                        await copyObject(object.key, destinationKey, object.size, bulkAction.level, target);
+                        break;
+                    default:
+                        break;
+                }
+            } catch (error) {
+                console.error(`Error processing ${object.key}:`, error);
+                failures.push({ key: object.key, error: error.message });
+            }
+            setBulkAction(prev => ({ ...prev, processed: prev.processed + 1, failures: [...failures] }));
+        }
+
+        setBulkAction(prev => ({ ...prev, status: 'done', current: '', failures: [...failures] }));
+        if (type !== 'download') {
+            await listBucketContents(currentPath);
+        }
+    };
+
+    // Streams a folder or selection into a ZIP archive, keeping paths relative to the current folder
+    const downloadAsZip = async (items) => {
+        const fileName = `${items.length === 1 ? items[0].displayName : (currentPath.split('/').pop() || bucketName)}.zip`;
+        let writable;
+        try {
+            // The save dialog has to open while the click is still being handled
+            writable = await openZipDestination(fileName);
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            console.error('Error opening ZIP destination:', error);
+            setAlertMessage(`Error saving ${fileName}: ${error.message}`);
+            setVisibleAlert(true);
+            return;
+        }
+
+        const target = { bucket: bucket.name, region: bucket.region };
+        const controller = new AbortController();
+        setZipDownload({ fileName, controller, streamed: Boolean(writable), status: 'preparing', files: [] });
+
+        try {
+            const objects = (await expandSelection(items, currentPath, accessLevel, target)).filter(object => !object.isMarker);
+            setZipDownload(prev => ({
+                ...prev,
+                status: 'running',
+                files: objects.map(object => ({ path: object.relativePath, size: object.size, loaded: 0, status: 'pending' }))
+            }));
+
+            await streamZip(objects, writable, fileName, {
+                level: accessLevel,
+                ...target,
+                signal: controller.signal,
+                onProgress: (index, loaded, status, error) => setZipDownload(prev => ({
+                    ...prev,
+                    files: prev.files.map((file, i) => i === index ? { ...file, loaded, status, error } : file)
+                }))
+            });
+            setZipDownload(prev => ({ ...prev, status: 'done' }));
+        } catch (error) {
+            if (controller.signal.aborted) {
+                setZipDownload(prev => ({ ...prev, status: 'cancelled' }));
+            } else {
+                console.error('Error creating ZIP archive:', error);
+                setZipDownload(prev => ({ ...prev, status: 'error', error: `Download failed: ${error.message}` }));
+            }
+            if (writable && !controller.signal.aborted) {
+                await writable.abort().catch(() => {});
+            }
+        }
+    };
+
+    // Runs once for the life of the component, which stays mounted while other pages show,
+    // so switching pages never drops the handlers of running uploads
     useEffect(() => {
-        const initializeBucket = async () => {
+        const initializeUploads = async () => {
             try {
-                console.log('Initializing bucket view');
-                const bucket = awsconfig.aws_user_files_s3_bucket;
-                setBucketName(bucket || 'Bucket name not found');
-                
-                // Configure Storage
-                Storage.configure({
-                    AWSS3: {
-                        bucket: bucket,
-                        region: awsconfig.aws_user_files_s3_bucket_region,
-                        level: 'protected'
-                    }
-                });
+                console.log('Initializing upload manager');
+
+                const { identityId } = await Auth.currentCredentials();
+                setIdentityId(identityId);
+
+                // Saved preferences tune the upload settings before any upload or cleanup runs
+                applyUserPreferences(loadUserPreferences(username));
 
                 // Initialize upload state manager
                 uploadStateManager.init();
+                setResumableUploads(uploadStateManager.getResumableUploads());
 
-                // If viewing bucket, list contents
-                if (viewingBucket) {
-                    await listBucketContents(currentPath);
-                }
             } catch (error) {
                 console.error('Error initializing:', error);
                 setAlertMessage(`Error initializing: ${error.message}`);
@@ -1167,13 +5282,35 @@ const Content = () => {
         };
 
         window.addEventListener('upload-progress', handleUploadProgress);
-        initializeBucket();
+        initializeUploads();
 
         return () => {
             window.removeEventListener('upload-progress', handleUploadProgress);
             uploadStateManager.cleanup();
         };
-    }, [viewingBucket]);
+    }, []);
+
+    // Back/forward, reloads and shared links all arrive here as a route change
+    useEffect(() => {
+        if (!viewingBucket) {
+            listingRef.current = { path: '', level: accessLevel, items: [], entries: new Map() }; // Drops pages still arriving for the bucket left behind
+            setBucketContents(null);
+            return;
+        }
+        activateBucket(bucket);
+        // A filter typed for one folder doesn't carry over to the next
+        setFilterQuery({ tokens: [], operation: 'and' });
+        listBucketContentsRef.current(currentPath, accessLevel);
+    }, [viewingBucket, bucket, currentPath, accessLevel]);
+
+    const openFolder = (path, level = accessLevel) => {
+        navigate(getBucketRoute(bucketName, path, level));
+    };
+
+    // Each level is a separate tree, so switching starts again at its root
+    const changeAccessLevel = (level) => {
+        openFolder('', level);
+    };
 
     const createNewFolder = async () => {
         const folderName = prompt('Enter folder name:');
@@ -1194,7 +5331,7 @@ const Content = () => {
                     `${folderPath}.keep`,
                     new Blob([''], { type: 'text/plain' }), 
                     {
-                        level: 'protected',
+                        level: accessLevel,
                         contentType: 'text/plain'
                     }
                 );
@@ -1204,14 +5341,14 @@ const Content = () => {
                     folderPath,
                     new Blob([''], { type: 'application/x-directory' }), 
                     {
-                        level: 'protected',
+                        level: accessLevel,
                         contentType: 'application/x-directory'
                     }
                 );
                 
                 // Check if folder already exists
                 const existingCheck = await Storage.list(`${folderPath}/`, {
-                    level: 'protected',
+                    level: accessLevel,
                     pageSize: 1
                 });
 
@@ -1235,14 +5372,19 @@ const Content = () => {
         }
     };
 
-    const listBucketContents = async (path = '') => {
+    const listBucketContents = async (path = '', level = accessLevel) => {
         try {
             console.log('Listing contents for path:', path);
             setBucketContents(null); // Show loading state
+            const listing = { path, level, items: [], entries: new Map() };
+            listingRef.current = listing;
+            setListingToken(null);
+            setCurrentPageIndex(1);
+            setSelectedItems([]);
 
             const result = await Storage.list(path || '', { 
-                level: 'protected',
-                pageSize: 1000
+                level,
+                pageSize: UPLOAD_CONFIG.LIST_PAGE_SIZE
             });
             
             console.log('Raw S3 response:', result);
@@ -1251,90 +5393,9 @@ const Content = () => {
                 console.log('No results found');
                 setBucketContents([]);
                 return;
-            }
-
-            const items = result.results;
-            const processedItems = new Map();
-            
-            // First pass: Identify all folders
-            items.forEach(item => {
-                if (!item.key) return;
-            
-                // Skip the current directory marker
-                if (item.key === path ||
-                    item.key.includes('.keep') ||
-                    item.key.endsWith('/.keep')) return;
-    
-                const relativePath = path ? item.key.replace(`${path}/`, '') : item.key;
-                const parts = relativePath.split('/');
-    
-                // Handle folder markers
-                if (item.key.endsWith('/') || 
-                    item.contentType === 'application/x-directory' || 
-                    item.size === 0) {
-                    const folderName = parts[0];
-                    // Skip if folder name contains .keep
-                    if (folderName && 
-                        !folderName.includes('.keep') && 
-                        !processedItems.has(folderName)) {
-                            processedItems.set(folderName, {
-                                key: path ? `${path}/${folderName}` : folderName,
-                                displayName: folderName,
-                                size: 0,
-                                isFolder: true,
-                                lastModified: item.lastModified
-                            });
-                        }
-                    }
-                });
-
-            // Second pass: Add files and identify implicit folders
-            items.forEach(item => {
-                if (!item.key) return;
-                
-                // Skip folder markers and .keep files
-                if (item.key === path || 
-                    item.key.endsWith('/') || 
-                    item.key.endsWith('/.keep') || 
-                    item.contentType === 'application/x-directory') return;
-    
-                const relativePath = path ? item.key.replace(`${path}/`, '') : item.key;
-                const parts = relativePath.split('/');
-    
-                if (parts.length === 1) {
-                    // File in current directory
-                    processedItems.set(parts[0], {
-                        key: item.key,
-                        displayName: parts[0],
-                        size: item.size,
-                        isFolder: false,
-                        lastModified: item.lastModified
-                    });
-                } else if (parts.length > 1) {
-                    // Implicit folder
-                    const folderName = parts[0];
-                    if (!folderName.includes('.keep') && !processedItems.has(folderName)) {
-                        processedItems.set(folderName, {
-                            key: path ? `${path}/${folderName}` : folderName,
-                            displayName: folderName,
-                            size: 0,
-                            isFolder: true,
-                            lastModified: item.lastModified
-                        });
-                    }
-                }
-            });
-    
-            const contents = Array.from(processedItems.values())
-                .filter(item => !item.displayName.includes('.keep')) // Extra safety filter
-                .sort((a, b) => {
-                    if (a.isFolder && !b.isFolder) return -1;
-                    if (!a.isFolder && b.isFolder) return 1;
-                    return a.displayName.localeCompare(b.displayName);
-                });
-    
-            console.log('Processed contents:', contents);
-            setBucketContents(contents);
+            }
+
+            applyListingPage(listing, result);
     
         } catch (error) {
             console.error('Error listing bucket contents:', error);
@@ -1343,220 +5404,445 @@ const Content = () => {
             setBucketContents([]);
         }
     };
+    listBucketContentsRef.current = listBucketContents;
+
+    // Adds a page to the accumulated listing; pages for a folder or level the user has left are dropped
+    const applyListingPage = (listing, result) => {
+        if (listingRef.current !== listing) return false;
+
+        // Only the new page is processed; the table sorts the rows itself
+        result.results.forEach(item => listing.items.push(item));
+        addListingItems(listing.entries, result.results, listing.path);
+        setBucketContents(Array.from(listing.entries.values()).filter(item => !item.displayName.includes('.keep')));
+        setListingToken(result.hasNextToken ? result.nextToken : null);
+        return true;
+    };
+
+    const loadMoreContents = async (loadAll = false) => {
+        const listing = listingRef.current;
+        const { path, level } = listing;
+        let nextToken = listingToken;
+        setIsLoadingMore(true);
+        try {
+            while (nextToken) {
+                const result = await Storage.list(path || '', {
+                    level,
+                    pageSize: UPLOAD_CONFIG.LIST_PAGE_SIZE,
+                    nextToken
+                });
+                if (!applyListingPage(listing, result)) break;
+                nextToken = result.hasNextToken ? result.nextToken : null;
+                if (!loadAll) break;
+            }
+        } catch (error) {
+            console.error('Error loading more contents:', error);
+            setAlertMessage(`Error listing contents: ${error.message}`);
+            setVisibleAlert(true);
+        } finally {
+            setIsLoadingMore(false);
+        }
+    };
     
-    const handleFileSelect = (e, isFolder = false) => {
-        e.preventDefault();
+    // entries: [{ file, path }] with path relative to the current folder; returns the new selection
+    const selectFiles = (entries) => {
         let tempUploadList = [];
         
-        const files = e.target.files;
-        for (let i = 0; i < files.length; i++) {
-            if (files[i].size > UPLOAD_CONFIG.MAX_FILE_SIZE) {
-                setAlertMessage(`File ${files[i].name} is larger than 5TB`);
-                setVisibleAlert(true);
-                return;
-            }
-            
-            const path = isFolder ? files[i].webkitRelativePath : files[i].name;
+        for (let i = 0; i < entries.length; i++) {
+            const { file, path } = entries[i];
             tempUploadList.push({
                 label: path,
-                labelTag: formatBytes(files[i].size),
-                description: 'File type: ' + files[i].type,
+                labelTag: formatBytes(file.size),
+                description: 'File type: ' + file.type,
                 icon: 'file',
                 id: `upload-${Date.now()}-${i}`,
                 path: path
             });
         }
         
+        const files = entries.map(entry => entry.file);
         setUploadList(tempUploadList);
-        setFileList(Array.from(files));
+        setFileList(files);
+        setFileOverrides({});
+        setOverrideFileId(null);
+        return { items: tempUploadList, files };
     };
 
-    const handleUpload = async () => {
-        if (uploadList.length === 0) {
-            setAlertMessage('No files selected');
+    const handleFileSelect = (e, isFolder = false) => {
+        e.preventDefault();
+        selectFiles(Array.from(e.target.files).map(file => ({
+            file,
+            path: isFolder ? file.webkitRelativePath : file.name
+        })));
+    };
+
+    // folder: display name of a folder row in the current listing, or null for the current folder
+    const handleDrop = async (e, folder = null) => {
+        if (!isFileDrag(e)) return;
+        e.preventDefault();
+        e.stopPropagation();
+        dragDepth.current = 0;
+        setIsDragging(false);
+        setDropFolder(null);
+
+        try {
+            const dropped = await getDroppedFiles(e.dataTransfer);
+            if (dropped.length === 0) return;
+            const { items, files } = selectFiles(dropped.map(({ file, path }) => ({
+                file,
+                path: folder ? `${folder}/${path}` : path
+            })));
+            // Dropping onto a folder row starts the upload into that folder right away
+            if (folder) await handleUpload(items, files);
+        } catch (error) {
+            console.error('Error reading dropped files:', error);
+            setAlertMessage(`Error reading dropped files: ${error.message}`);
             setVisibleAlert(true);
-            return;
         }
+    };
+
+    // Counts nested enter/leave events so the overlay does not flicker over child elements
+    const handleDragEnter = (e) => {
+        if (!isFileDrag(e)) return;
+        e.preventDefault();
+        dragDepth.current += 1;
+        setIsDragging(true);
+    };
+
+    const handleDragLeave = (e) => {
+        if (!isFileDrag(e)) return;
+        dragDepth.current = Math.max(0, dragDepth.current - 1);
+        if (dragDepth.current === 0) {
+            setIsDragging(false);
+            setDropFolder(null);
+        }
+    };
+
+    const handleDragOver = (e, folder = null) => {
+        if (!isFileDrag(e)) return;
+        e.preventDefault();
+        e.stopPropagation();
+        e.dataTransfer.dropEffect = 'copy';
+        setDropFolder(folder);
+    };
+
+    // Keeps the outcome of an upload for the History page
+    const recordUpload = (handler, status, error = null) => {
+        const finishedAt = Date.now();
+        const duration = (finishedAt - handler.startTime) / 1000;
+        saveUploadRecord({
+            id: handler.uploadId,
+            username,
+            bucket: handler.bucket,
+            level: handler.level,
+            key: handler.key || handler.path,
+            fileName: handler.file.name,
+            size: handler.file.size,
+            status,
+            startedAt: handler.startTime,
+            finishedAt,
+            duration,
+            averageSpeed: duration > 0 ? (handler.file.size - handler.resumedBytes) / duration : 0,
+            checksum: handler.checksum || null,
+            verification: handler.verification,
+            error
+        }).catch(saveError => console.error('Error saving upload history:', saveError));
+    };
+
+    // Queued files taken out before they start are kept in the history as cancelled
+    const removeQueuedUpload = (id) => {
+        const item = uploadQueue.remove(id);
+        if (!item) return;
+        const now = Date.now();
+        saveUploadRecord({
+            id: item.id,
+            username,
+            bucket: item.options.bucket,
+            level: item.options.level,
+            key: item.path,
+            fileName: item.file.name,
+            size: item.file.size,
+            status: 'cancelled',
+            startedAt: now,
+            finishedAt: now,
+            duration: 0,
+            averageSpeed: 0,
+            checksum: null,
+            verification: null,
+            error: 'Removed from the queue before it started'
+        }).catch(saveError => console.error('Error saving upload history:', saveError));
+    };
+
+    // Uploads one queued file; runs under the UploadQueue's file and part limits
+    const uploadFile = async ({ file, path, options }) => {
+        console.log('Starting upload for:', path);
     
-        setIsUploading(true);
-        try {
-            for (let i = 0; i < uploadList.length; i++) {
-                const file = fileList[i];
-                const path = currentPath 
-                    ? `${currentPath}/${uploadList[i].path}`
-                    : uploadList[i].path;
-    
-                console.log('Starting upload for:', path);
-    
-                const uploadId = `upload-${Date.now()}-${i}`;
-                const startTime = Date.now();
-                let lastValidSpeed = 0;
-                let totalBytesUploaded = 0;
-    
-                const speedCalculator = {
-                    windowSize: 5, // Number of seconds to average over
-                    measurements: [],
-                    
-                    addMeasurement(bytesUploaded, timestamp) {
-                        this.measurements.push({ bytesUploaded, timestamp });
-                        
-                        // Remove measurements older than windowSize seconds
-                        const cutoff = timestamp - (this.windowSize * 1000);
-                        this.measurements = this.measurements.filter(m => m.timestamp > cutoff);
-                    },
-    
-                    getCurrentSpeed() {
-                        if (this.measurements.length < 2) return 0;
-                        const oldest = this.measurements[0];
-                        const newest = this.measurements[this.measurements.length - 1];
-                        const timeDiff = (newest.timestamp - oldest.timestamp) / 1000; // seconds
-                        const bytesDiff = newest.bytesUploaded - oldest.bytesUploaded;
-                        return timeDiff > 0 ? bytesDiff / timeDiff : 0;
-                    }
-                };
-    
-                // Initialize the upload in history list
-                setHistoryList(prevList => {
-                    const existingIndex = prevList.findIndex(item => 
-                        item.filename === file.name && item.status === 'in-progress'
-                    );
-                    
-                    if (existingIndex !== -1) return prevList;
-    
-                    return [...prevList, {
-                        id: uploadId,
-                        filename: file.name,
-                        filetype: file.type,
-                        filesize: formatBytes(file.size),
-                        totalSize: file.size,
-                        percentage: 0,
-                        status: 'in-progress',
-                        uploadSpeed: 'Calculating...',
-                        estimatedTimeRemaining: 'Calculating...',
-                        elapsedTime: '0s',
-                        bytesUploaded: 0
-                    }];
-                });
-    
-                try {
-                    await Storage.put(path, file, {
-                        level: 'protected',
-                        contentType: file.type,
-                        progressCallback: (progress) => {
-                            const now = Date.now();
-                            const elapsedTime = (now - startTime) / 1000; // seconds
-                            const percentage = (progress.loaded / progress.total) * 100;
-    
-                            speedCalculator.addMeasurement(progress.loaded, now);
-                            const currentSpeed = speedCalculator.getCurrentSpeed();
-                            const speedInMbps = (currentSpeed * 8) / (1000 * 1000); // Convert to Mbps
-    
-                            if (Number.isFinite(speedInMbps) && speedInMbps > 0) {
-                                lastValidSpeed = speedInMbps;
-                            }
-    
-                            const displaySpeed = Number.isFinite(speedInMbps) && speedInMbps > 0 
-                                ? speedInMbps 
-                                : lastValidSpeed;
-    
-                            // Calculate estimated time remaining
-                            const remainingBytes = progress.total - progress.loaded;
-                            const estimatedTimeRemaining = displaySpeed > 0 
-                                ? (remainingBytes * 8) / (displaySpeed * 1000 * 1000) 
-                                : 0;
-    
-                            totalBytesUploaded = progress.loaded;
+        // Every file is hashed with SHA-256 first; small files use one PutObject, larger ones multipart
+        const handler = new MultipartUploadHandler(file, path, uploadStateManager, undefined, options);
+        const uploadId = handler.uploadId;
+        // Registered before its card appears, so Cancel always finds it
+        uploadStateManager.registerUpload(uploadId, handler);
+        const startTime = Date.now();
     
-                            setHistoryList(prevList => {
-                                const newList = [...prevList];
-                                const index = newList.findIndex(item => item.id === uploadId);
-                                if (index !== -1) {
-                                    newList[index] = {
-                                        ...newList[index],
-                                        percentage,
-                                        status: 'in-progress',
-                                        uploadSpeed: formatSpeed(displaySpeed),
-                                        estimatedTimeRemaining: formatTime(estimatedTimeRemaining),
-                                        elapsedTime: formatTime(elapsedTime),
-                                        bytesUploaded: totalBytesUploaded,
-                                    };
-                                }
-                                return newList;
-                            });
-                        }
-                    });
+        // Initialize the upload in history list
+        setHistoryList(prevList => {
+            // Files run in parallel and may share a name, so match on the upload id
+            const existingIndex = prevList.findIndex(item => item.id === uploadId);
+            
+            if (existingIndex !== -1) return prevList;
     
-                    // Calculate final statistics
-                    const finalElapsedTime = (Date.now() - startTime) / 1000;
-                    const averageSpeed = (file.size / finalElapsedTime) * 8 / (1000 * 1000); // Mbps
+            return [...prevList, {
+                id: uploadId,
+                filename: file.name,
+                filetype: file.type,
+                filesize: formatBytes(file.size),
+                totalSize: file.size,
+                percentage: 0,
+                status: 'in-progress',
+                uploadSpeed: 'Calculating...',
+                estimatedTimeRemaining: 'Calculating...',
+                elapsedTime: '0s',
+                bytesUploaded: 0,
+                verification: 'pending'
+            }];
+        });
     
-                    setHistoryList(prevList => {
-                        const newList = [...prevList];
-                        const index = newList.findIndex(item => item.id === uploadId);
-                        if (index !== -1) {
-                            newList[index] = {
-                                ...newList[index],
-                                percentage: 100,
-                                status: 'success',
-                                uploadSpeed: `Complete (Avg: ${formatSpeed(averageSpeed)})`,
-                                estimatedTimeRemaining: '0s',
-                                elapsedTime: formatTime(finalElapsedTime),
-                                bytesUploaded: file.size,
-                            };
-                        }
-                        return newList;
-                    });
+        try {
+            // Progress arrives through upload-progress events
+            const completed = await handler.start();
+            if (!completed) {
+                markUploadCancelled(uploadId);
+                recordUpload(handler, 'cancelled');
+                return;
+            }
+            recordUpload(handler, 'success');
     
-                } catch (error) {
-                    console.error('Upload failed:', error);
-                    setHistoryList(prevList => {
-                        const newList = [...prevList];
-                        const index = newList.findIndex(item => item.id === uploadId);
-                        if (index !== -1) {
-                            newList[index] = {
-                                ...newList[index],
-                                status: 'error',
-                                uploadSpeed: 'Failed',
-                                error: error.message
-                            };
-                        }
-                        return newList;
-                    });
+            // Calculate final statistics
+            const finalElapsedTime = (Date.now() - startTime) / 1000;
+            const averageSpeed = file.size / finalElapsedTime; // Bytes per second
     
-                    setAlertMessage(`Error uploading ${file.name}: ${error.message}`);
-                    setVisibleAlert(true);
+            setHistoryList(prevList => {
+                const newList = [...prevList];
+                const index = newList.findIndex(item => item.id === uploadId);
+                if (index !== -1) {
+                    newList[index] = {
+                        ...newList[index],
+                        percentage: 100,
+                        status: 'success',
+                        uploadSpeed: `Complete (Avg: ${formatRate(averageSpeed)})`,
+                        estimatedTimeRemaining: '0s',
+                        elapsedTime: formatTime(finalElapsedTime),
+                        bytesUploaded: file.size,
+                        checksum: handler.checksum,
+                        verification: handler.verification
+                    };
                 }
-            }
+                return newList;
+            });
     
-            // Clear upload list and refresh contents
-            setUploadList([]);
-            setFileList([]);
-            
-            // Wait for S3 consistency
-            await new Promise(resolve => setTimeout(resolve, 2000));
-            await listBucketContents(currentPath);
+        } catch (error) {
+            console.error('Upload failed:', error);
+            recordUpload(handler, 'error', error.message);
+            setHistoryList(prevList => {
+                const newList = [...prevList];
+                const index = newList.findIndex(item => item.id === uploadId);
+                if (index !== -1) {
+                    newList[index] = {
+                        ...newList[index],
+                        status: 'error',
+                        uploadSpeed: 'Failed',
+                        error: error.message,
+                        verification: handler.verification
+                    };
+                }
+                return newList;
+            });
     
+            setAlertMessage(`Error uploading ${file.name}: ${error.message}`);
+            setVisibleAlert(true);
+            setResumableUploads(uploadStateManager.getResumableUploads());
+        }
+    };
+    uploadFileRef.current = uploadFile;
+
+    // Reasons the upload rules reject each selected file, or null; rejected files stay listed but aren't uploaded
+    const uploadErrors = validateUploadBatch(fileList, uploadList.map(item => item.path));
+
+    // items and selectedFiles default to the selection; a drop onto a folder row passes its own before the state updates
+    const handleUpload = async (items = uploadList, selectedFiles = fileList) => {
+        if (items.length === 0) {
+            setAlertMessage('No files selected');
+            setVisibleAlert(true);
+            return;
+        }
+
+        const errors = validateUploadBatch(selectedFiles, items.map(item => item.path));
+        const validItems = items.filter((item, i) => !errors[i]);
+        if (validItems.length === 0) {
+            setAlertMessage('None of the selected files can be uploaded. Check the reasons next to each file.');
+            setVisibleAlert(true);
+            return;
+        }
+
+        const invalidFile = validItems.find(item => hasOptionErrors(validateUploadOptions(fileOverrides[item.id] || uploadOptions)));
+        if (invalidFile) {
+            setAlertMessage(`Fix the metadata and tags for ${fileOverrides[invalidFile.id] ? invalidFile.path : 'this batch'} before uploading`);
+            setVisibleAlert(true);
+            return;
+        }
+
+        const files = items.flatMap((item, i) => errors[i] ? [] : [{
+            id: item.id,
+            label: item.path,
+            file: selectedFiles[i],
+            key: currentPath ? `${currentPath}/${item.path}` : item.path
+        }]);
+
+        // Nothing is written until the per-file dry run has been confirmed
+        setIsCheckingConflicts(true);
+        let existing;
+        try {
+            existing = await listExistingObjects(files.map(({ key }) => key), accessLevel, { bucket: bucket.name, region: bucket.region });
+        } catch (error) {
+            console.error('Error checking for existing objects:', error);
+            setAlertMessage(`Error checking for existing objects: ${error.message}`);
+            setVisibleAlert(true);
+            return;
         } finally {
-            setIsUploading(false);
+            setIsCheckingConflicts(false);
         }
+
+        setUploadReview({ files, existing, path: currentPath, policy: 'skip', overrides: {} });
     };
-    
-    // Helper function to format speed in Mbps
-    const formatSpeed = (speedInMbps) => {
-        if (!Number.isFinite(speedInMbps) || speedInMbps <= 0) {
-            return 'Calculating...';
+
+    // files: the { id, file, key } batch the plan was made for
+    const startUploads = async (plan, files) => {
+        setUploadReview(null);
+        const steps = new Map(plan.map(step => [step.id, step]));
+
+        uploadQueue.enqueue(files.flatMap(({ id, file }) => {
+            const step = steps.get(id);
+            if (!step || step.outcome === 'skip') return [];
+
+            const options = fileOverrides[id] || uploadOptions;
+            return [{
+                id,
+                label: step.key.slice(currentPath ? currentPath.length + 1 : 0),
+                size: file.size,
+                file,
+                path: step.key,
+                options: {
+                    level: accessLevel,
+                    bucket: bucket.name,
+                    region: bucket.region,
+                    metadata: toAttributeMap(options.metadata),
+                    tags: toAttributeMap(options.tags)
+                }
+            }];
+        }));
+
+        // Selected files now live in the queue; the picker can take the next batch
+        setUploadList([]);
+        setFileList([]);
+        setFileOverrides({});
+        setOverrideFileId(null);
+
+        setIsUploading(true);
+        await uploadQueue.onIdle();
+        setIsUploading(false);
+        setResumableUploads(uploadStateManager.getResumableUploads());
+
+        // Wait for S3 consistency
+        await new Promise(resolve => setTimeout(resolve, 2000));
+        await listBucketContents(currentPath);
+    };
+
+    const resumeUpload = async (state, file) => {
+        if (!isSameFile(state, file)) {
+            setAlertMessage(`${file.name} does not match the interrupted upload of ${state.fileName}. Select the same file, unchanged since the upload started.`);
+            setVisibleAlert(true);
+            return;
         }
-        
+
+        // Listed before its card's Retry picked it up again
+        const running = uploadStateManager.getActiveUploads().find(h => h.uploadId === state.uploadId);
+        if (running && !uploadStateManager.getUploadState(state.uploadId)?.failed) {
+            setResumableUploads(uploadStateManager.getResumableUploads());
+            setAlertMessage(`${state.fileName} is already uploading.`);
+            setVisibleAlert(true);
+            return;
+        }
+
+        const handler = MultipartUploadHandler.fromState(file, state, uploadStateManager);
+        const uploadId = handler.uploadId;
+        setResumableUploads(prev => prev.filter(item => item.uploadId !== uploadId));
+        setHistoryList(prevList => [
+            ...prevList.filter(item => item.id !== uploadId),
+            {
+                ...handler.calculateProgress(handler.uploadedParts.length, handler.resumedBytes),
+                filetype: file.type,
+                filesize: formatBytes(file.size),
+                status: 'in-progress'
+            }
+        ]);
+
+        setIsUploading(true);
         try {
-            if (speedInMbps >= 1000) {
-                return `${(speedInMbps / 1000).toFixed(2)} Gbps`;
-            } else {
-                return `${speedInMbps.toFixed(2)} Mbps`;
+            const completed = await handler.start();
+            if (!completed) {
+                markUploadCancelled(uploadId);
+                recordUpload(handler, 'cancelled');
+                return;
             }
+            recordUpload(handler, 'success');
+
+            setHistoryList(prevList => prevList.map(item => item.id === uploadId
+                ? {
+                    ...item,
+                    percentage: 100,
+                    status: 'success',
+                    estimatedTimeRemaining: '0s',
+                    bytesUploaded: file.size,
+                    checksum: handler.checksum,
+                    verification: handler.verification
+                }
+                : item));
+
+            // Wait for S3 consistency
+            await new Promise(resolve => setTimeout(resolve, 2000));
+            await listBucketContents(currentPath);
         } catch (error) {
-            console.error('Error formatting speed:', error);
-            return 'Calculating...';
+            console.error('Resumed upload failed:', error);
+            recordUpload(handler, 'error', error.message);
+            setHistoryList(prevList => prevList.map(item => item.id === uploadId
+                ? { ...item, status: 'error', uploadSpeed: 'Failed', error: error.message, verification: handler.verification }
+                : item));
+            setAlertMessage(`Error resuming ${file.name}: ${error.message}`);
+            setVisibleAlert(true);
+            setResumableUploads(uploadStateManager.getResumableUploads());
+        } finally {
+            setIsUploading(uploadQueue.isBusy());
+        }
+    };
+
+    const markUploadCancelled = (uploadId) => {
+        setHistoryList(prevList => prevList.map(item => item.id === uploadId
+            ? { ...item, status: 'cancelled', uploadSpeed: 'Cancelled', estimatedTimeRemaining: '-' }
+            : item));
+    };
+
+    // Aborts the multipart upload on S3 and removes its saved state
+    const cancelUpload = async (item) => {
+        const handler = uploadStateManager.getActiveUploads().find(h => h.uploadId === item.id);
+        if (handler) {
+            await handler.abort();
         }
+        markUploadCancelled(item.id);
+    };
+
+    const discardUpload = async (state) => {
+        await uploadStateManager.abortMultipartUpload(state);
+        uploadStateManager.removeUploadState(state.uploadId);
+        setResumableUploads(uploadStateManager.getResumableUploads());
     };
     
     // Helper function to format time
@@ -1591,6 +5877,9 @@ const Content = () => {
     }
     
     const handleDismiss = (itemIndex) => {
+        const { id } = uploadList[itemIndex];
+        setFileOverrides(({ [id]: removed, ...rest }) => rest);
+        if (overrideFileId === id) setOverrideFileId(null);
         setUploadList([
             ...uploadList.slice(0, itemIndex),
             ...uploadList.slice(itemIndex + 1)
@@ -1601,6 +5890,45 @@ const Content = () => {
         ]);
     };
 
+    const handleRowAction = (action, item) => {
+        switch (action) {
+            // Both keep the bucket and level they were opened in
+            case 'preview':
+                setPreviewItem({ ...item, level: accessLevel, bucket: bucket.name, region: bucket.region });
+                break;
+            case 'share':
+                setShareItem({ ...item, level: accessLevel, bucket: bucket.name, region: bucket.region });
+                break;
+            case 'delete':
+                setItemToDelete(item);
+                setShowDeleteConfirmation(true);
+                break;
+            default:
+                openBulkAction(action, [item]);
+        }
+    };
+
+    const updateSharedLinks = (update) => {
+        setSharedLinks(prev => {
+            const links = update(prev);
+            saveSharedLinks(username, links);
+            return links;
+        });
+    };
+
+    // Filtered view of the listing; recursive search covers every object loaded under the current folder
+    const visibleContents = bucketContents && filterItems(
+        searchRecursive ? listRecursiveFiles(listingRef.current.items, currentPath) : bucketContents,
+        filterQuery
+    );
+    const sortedContents = visibleContents && sortItems(visibleContents, sortingColumn.sortingField, sortingDescending);
+    const pagesCount = visibleContents ? Math.max(1, Math.ceil(visibleContents.length / tablePreferences.pageSize)) : 1;
+    const pageIndex = Math.min(currentPageIndex, pagesCount);
+    const pageContents = sortedContents && sortedContents.slice(
+        (pageIndex - 1) * tablePreferences.pageSize,
+        pageIndex * tablePreferences.pageSize
+    );
+
     return (
         <UploadStateContext.Provider value={uploadStateManager}>
             <ContentLayout
@@ -1626,31 +5954,18 @@ const Content = () => {
                             }
                         >
                             <Table
-                                items={[
-                                    {
-                                        name: bucketName,
-                                        creationDate: new Date().toLocaleDateString(),
-                                        region: awsconfig.aws_user_files_s3_bucket_region
-                                    }
-                                ]}
+                                items={BUCKETS}
+                                trackBy="name"
                                 columnDefinitions={[
                                     {
                                         id: 'name',
                                         header: 'Name',
                                         cell: item => (
                                             <Link
-                                                onFollow={async () => {
-                                                    try {
-                                                        console.log('Entering bucket view');
-                                                        setViewingBucket(true);
-                                                        setCurrentPath('');
-                                                        await new Promise(resolve => setTimeout(resolve, 0));
-                                                        await listBucketContents('');
-                                                    } catch (error) {
-                                                        console.error('Error navigating to bucket:', error);
-                                                        setAlertMessage(`Error accessing bucket: ${error.message}`);
-                                                        setVisibleAlert(true);
-                                                    }
+                                                href={toHref(getBucketRoute(item.name))}
+                                                onFollow={(e) => {
+                                                    e.preventDefault();
+                                                    navigate(getBucketRoute(item.name));
                                                 }}
                                             >
                                                 {item.name}
@@ -1663,27 +5978,43 @@ const Content = () => {
                                         cell: item => item.region
                                     },
                                     {
-                                        id: 'creationDate',
-                                        header: 'Creation date',
-                                        cell: item => item.creationDate
+                                        id: 'description',
+                                        header: 'Description',
+                                        cell: item => item.description || '-'
                                     }
                                 ]}
                             />
                         </Container>
                     ) : (
                         <SpaceBetween size="l">
+                            <ResumeUploads
+                                uploads={resumableUploads}
+                                onResume={resumeUpload}
+                                onDiscard={discardUpload}
+                            />
                             <Container
                                 header={
                                     <Header
                                         variant="h2"
+                                        description={
+                                            <SpaceBetween direction="horizontal" size="xs" alignItems="center">
+                                                <SegmentedControl
+                                                    label="Access level"
+                                                    selectedId={accessLevel}
+                                                    onChange={({ detail }) => changeAccessLevel(detail.selectedId)}
+                                                    options={ACCESS_LEVELS.map(({ id, text }) => ({ id, text }))}
+                                                />
+                                                <Box variant="small" color="text-body-secondary">
+                                                    {ACCESS_LEVELS.find(level => level.id === accessLevel).description}
+                                                </Box>
+                                            </SpaceBetween>
+                                        }
                                         actions={
                                             <SpaceBetween direction="horizontal" size="xs">
                                                 {currentPath && (
                                                     <Button
                                                         onClick={() => {
-                                                            const parentPath = currentPath.split('/').slice(0, -1).join('/');
-                                                            setCurrentPath(parentPath);
-                                                            listBucketContents(parentPath);
+                                                            openFolder(currentPath.split('/').slice(0, -1).join('/'));
                                                         }}
                                                         iconName="arrow-up"
                                                     >
@@ -1705,14 +6036,12 @@ const Content = () => {
                                                 <Button
                                                     onClick={() => fileInput.current.click()}
                                                     iconName="upload"
-                                                    disabled={isUploading}
                                                 >
                                                     Add Files
                                                 </Button>
                                                 <Button
                                                     onClick={() => folderInput.current.click()}
                                                     iconName="folder"
-                                                    disabled={isUploading}
                                                 >
                                                     Add Folder
                                                 </Button>
@@ -1721,26 +6050,17 @@ const Content = () => {
                                     >
                                         <BreadcrumbGroup
                                             items={[
-                                                { 
-                                                    text: bucketName, 
-                                                    href: '#', 
-                                                    onClick: (e) => {
-                                                        e.preventDefault();
-                                                        setCurrentPath('');
-                                                        listBucketContents('');
-                                                    }
-                                                },
-                                                ...(currentPath ? currentPath.split('/').map((part, index, array) => ({
+                                                { text: 'Buckets', href: toHref('/') },
+                                                { text: `${bucketName} (${accessLevel})`, href: toHref(getBucketRoute(bucketName, '', accessLevel)) },
+                                                ...currentPath.split('/').filter(Boolean).map((part, index, array) => ({
                                                     text: part,
-                                                    href: '#',
-                                                    onClick: (e) => {
-                                                        e.preventDefault();
-                                                        const newPath = array.slice(0, index + 1).join('/');
-                                                        setCurrentPath(newPath);
-                                                        listBucketContents(newPath);
-                                                    }
-                                                })) : [])
+                                                    href: toHref(getBucketRoute(bucketName, array.slice(0, index + 1).join('/'), accessLevel))
+                                                }))
                                             ]}
+                                            onFollow={(e) => {
+                                                e.preventDefault();
+                                                navigate(toRoute(e.detail.href));
+                                            }}
                                         />
                                     </Header>
                                 }
@@ -1751,47 +6071,223 @@ const Content = () => {
                                         <Box variant="p">Loading bucket contents...</Box>
                                     </Box>
                                 ) : (
-                                    <SpaceBetween size="l">
+                                    <div
+                                        className={`drop-zone${isDragging ? ' drop-zone--active' : ''}`}
+                                        onDragEnter={handleDragEnter}
+                                        onDragLeave={handleDragLeave}
+                                        onDragOver={(e) => handleDragOver(e)}
+                                        onDrop={(e) => handleDrop(e)}
+                                    >
+                                        {isDragging && (
+                                            <div className="drop-zone-message">
+                                                {dropFolder
+                                                    ? `Drop to upload into ${dropFolder}`
+                                                    : `Drop files or folders to upload to ${currentPath || bucketName}`}
+                                            </div>
+                                        )}
                                         <Table
-                                            items={bucketContents}
+                                            items={pageContents}
                                             loadingText="Loading bucket contents..."
+                                            trackBy="key"
+                                            selectionType="multi"
+                                            selectedItems={selectedItems}
+                                            onSelectionChange={({ detail }) => setSelectedItems(detail.selectedItems)}
+                                            ariaLabels={{
+                                                selectionGroupLabel: 'Object selection',
+                                                itemSelectionLabel: (data, item) => item.displayName,
+                                                allItemsSelectionLabel: () => 'Select all objects on this page'
+                                            }}
+                                            sortingColumn={sortingColumn}
+                                            sortingDescending={sortingDescending}
+                                            onSortingChange={({ detail }) => {
+                                                setSortingColumn(detail.sortingColumn);
+                                                setSortingDescending(detail.isDescending);
+                                                setCurrentPageIndex(1);
+                                            }}
+                                            columnDisplay={tablePreferences.contentDisplay}
+                                            wrapLines={tablePreferences.wrapLines}
+                                            contentDensity={tablePreferences.contentDensity}
+                                            pagination={
+                                                <Pagination
+                                                    currentPageIndex={pageIndex}
+                                                    pagesCount={pagesCount}
+                                                    onChange={({ detail }) => setCurrentPageIndex(detail.currentPageIndex)}
+                                                />
+                                            }
+                                            preferences={
+                                                <CollectionPreferences
+                                                    title="Preferences"
+                                                    confirmLabel="Confirm"
+                                                    cancelLabel="Cancel"
+                                                    preferences={tablePreferences}
+                                                    onConfirm={({ detail }) => {
+                                                        const preferences = { ...tablePreferences, ...detail };
+                                                        setTablePreferences(preferences);
+                                                        saveTablePreferences(username, preferences);
+                                                        setCurrentPageIndex(1);
+                                                    }}
+                                                    pageSizePreference={{
+                                                        title: 'Page size',
+                                                        options: [
+                                                            { value: 25, label: '25 objects' },
+                                                            { value: 50, label: '50 objects' },
+                                                            { value: 100, label: '100 objects' },
+                                                            { value: 250, label: '250 objects' }
+                                                        ]
+                                                    }}
+                                                    contentDisplayPreference={{
+                                                        title: 'Column preferences',
+                                                        description: 'Choose and order the visible columns.',
+                                                        options: CONTENT_COLUMNS
+                                                    }}
+                                                    wrapLinesPreference={{
+                                                        label: 'Wrap lines',
+                                                        description: 'Show long names and keys on multiple lines'
+                                                    }}
+                                                    contentDensityPreference={{
+                                                        label: 'Compact mode',
+                                                        description: 'Show more rows with less spacing'
+                                                    }}
+                                                />
+                                            }
+                                            filter={
+                                                <SpaceBetween size="xs">
+                                                    <PropertyFilter
+                                                        query={filterQuery}
+                                                        onChange={({ detail }) => {
+                                                            setFilterQuery(detail);
+                                                            setCurrentPageIndex(1);
+                                                        }}
+                                                        filteringProperties={FILTERING_PROPERTIES}
+                                                        filteringOptions={[...new Set(bucketContents
+                                                            .filter(item => !item.isFolder)
+                                                            .map(item => getExtension(item.displayName))
+                                                            .filter(Boolean))]
+                                                            .map(extension => ({ propertyKey: 'extension', value: extension }))}
+                                                        filteringPlaceholder="Find objects by name, extension, size or last modified"
+                                                        countText={`${visibleContents.length} matches`}
+                                                        expandToViewport
+                                                    />
+                                                    <Toggle
+                                                        checked={searchRecursive}
+                                                        onChange={({ detail }) => setSearchRecursive(detail.checked)}
+                                                    >
+                                                        Include subfolders{listingToken ? ' (load all to search every object)' : ''}
+                                                    </Toggle>
+                                                </SpaceBetween>
+                                            }
+                                            header={
+                                                <Header
+                                                    variant="h3"
+                                                    counter={`(${selectedItems.length ? `${selectedItems.length} selected, ` : ''}${visibleContents.filter(item => item.isFolder).length} folders, ${visibleContents.filter(item => !item.isFolder).length} files${listingToken ? ', more available' : ''})`}
+                                                    actions={
+                                                        <SpaceBetween direction="horizontal" size="xs">
+                                                            {Object.entries(BULK_ACTIONS).filter(([, { single }]) => !single).map(([type, { verb, label }]) => (
+                                                                <Button
+                                                                    key={type}
+                                                                    onClick={() => openBulkAction(type)}
+                                                                    disabled={selectedItems.length === 0}
+                                                                >
+                                                                    {label || verb}
+                                                                </Button>
+                                                            ))}
+                                                            <Button
+                                                                onClick={() => downloadAsZip(selectedItems)}
+                                                                disabled={selectedItems.length === 0 || Boolean(zipDownload)}
+                                                                iconName="download"
+                                                            >
+                                                                Download as ZIP
+                                                            </Button>
+                                                        </SpaceBetween>
+                                                    }
+                                                >
+                                                    Objects
+                                                </Header>
+                                            }
+                                            footer={listingToken && (
+                                                <Box textAlign="center">
+                                                    <SpaceBetween direction="horizontal" size="xs">
+                                                        <Button
+                                                            onClick={() => loadMoreContents(false)}
+                                                            loading={isLoadingMore}
+                                                        >
+                                                            Load more
+                                                        </Button>
+                                                        <Button
+                                                            onClick={() => loadMoreContents(true)}
+                                                            disabled={isLoadingMore}
+                                                        >
+                                                            Load all
+                                                        </Button>
+                                                    </SpaceBetween>
+                                                    {isLoadingMore && (
+                                                        <Box variant="small" color="text-body-secondary">
+                                                            {`Scanned ${listingRef.current.items.length.toLocaleString()} objects...`}
+                                                        </Box>
+                                                    )}
+                                                </Box>
+                                            )}
                                             columnDefinitions={[
                                                 {
                                                     id: 'name',
                                                     header: 'Name',
-                                                    cell: item => (
-                                                        <Link
-                                                            onFollow={() => {
-                                                                if (item.isFolder) {
-                                                                    const normalizedKey = item.key.replace(/\/\.keep$|\/$/, '');
-                                                                    setCurrentPath(normalizedKey);
-                                                                    listBucketContents(normalizedKey);
-                                                                } else {
-                                                                    Storage.get(item.key, { level: 'protected' })
-                                                                        .then(url => window.open(url, '_blank'))
-                                                                        .catch(error => {
-                                                                            console.error('Error downloading file:', error);
-                                                                            setAlertMessage(`Error downloading file: ${error.message}`);
-                                                                            setVisibleAlert(true);
-                                                                        });
-                                                                }
-                                                            }}
-                                                        >
-                                                            {item.isFolder ? '📁 ' : '📄 '}
-                                                            {item.displayName}
-                                                        </Link>
-                                                    )
+                                                    sortingField: 'displayName',
+                                                    cell: item => {
+                                                        const link = (
+                                                            <Link
+                                                                onFollow={() => {
+                                                                    if (item.isFolder) {
+                                                                        openFolder(item.key.replace(/\/\.keep$|\/$/, ''));
+                                                                    } else {
+                                                                        onShowDetails({ ...item, level: accessLevel, bucket: bucket.name, region: bucket.region });
+                                                                    }
+                                                                }}
+                                                            >
+                                                                {item.isFolder ? '📁 ' : '📄 '}
+                                                                {item.displayName}
+                                                            </Link>
+                                                        );
+                                                        if (!item.isFolder) return link;
+
+                                                        // Dropping onto a folder row uploads into that folder
+                                                        return (
+                                                            <div
+                                                                className={`folder-drop-target${dropFolder === item.displayName ? ' folder-drop-target--active' : ''}`}
+                                                                onDragOver={(e) => handleDragOver(e, item.displayName)}
+                                                                onDrop={(e) => handleDrop(e, item.displayName)}
+                                                            >
+                                                                {link}
+                                                            </div>
+                                                        );
+                                                    }
                                                 },
                                                 {
                                                     id: 'lastModified',
                                                     header: 'Last modified',
-                                                    cell: item => item.lastModified ? new Date(item.lastModified).toLocaleString() : '-'
+                                                    sortingField: 'lastModified',
+                                                    cell: item => formatDate(item.lastModified)
                                                 },
                                                 {
                                                     id: 'size',
                                                     header: 'Size',
+                                                    sortingField: 'size',
                                                     cell: item => item.isFolder ? '-' : formatBytes(item.size)
                                                 },
+                                                {
+                                                    id: 'contentType',
+                                                    header: 'Type (from extension)',
+                                                    cell: item => item.isFolder ? '-' : guessContentType(item.displayName)
+                                                },
+                                                {
+                                                    id: 'eTag',
+                                                    header: 'ETag',
+                                                    cell: item => item.eTag ? item.eTag.replace(/"/g, '') : '-'
+                                                },
+                                                {
+                                                    id: 'fullKey',
+                                                    header: 'Full key',
+                                                    cell: item => identityId ? getLevelPrefix(accessLevel, identityId) + item.key : item.key
+                                                },
                                                 {
                                                     id: 'actions',
                                                     header: 'Actions',
@@ -1800,7 +6296,7 @@ const Content = () => {
                                                             {!item.isFolder && (
                                                                 <Button
                                                                     onClick={() => {
-                                                                        Storage.get(item.key, { level: 'protected' })
+                                                                        Storage.get(item.key, { level: accessLevel, bucket: bucket.name, region: bucket.region })
                                                                             .then(url => window.open(url, '_blank'))
                                                                             .catch(error => {
                                                                                 setAlertMessage(`Error downloading file: ${error.message}`);
@@ -1812,25 +6308,46 @@ const Content = () => {
                                                                     Download
                                                                 </Button>
                                                             )}
-                                                            <Button
-                                                                onClick={() => {
-                                                                    setItemToDelete(item);
-                                                                    setShowDeleteConfirmation(true);
-                                                                }}
-                                                                variant="link"
-                                                            >
-                                                                Delete
-                                                            </Button>
+                                                            {item.isFolder && (
+                                                                <Button
+                                                                    onClick={() => downloadAsZip([item])}
+                                                                    disabled={Boolean(zipDownload)}
+                                                                    iconName="download"
+                                                                >
+                                                                    Download as ZIP
+                                                                </Button>
+                                                            )}
+                                                            <ButtonDropdown
+                                                                ariaLabel={`More actions for ${item.displayName}`}
+                                                                variant="icon"
+                                                                expandToViewport
+                                                                onItemClick={({ detail }) => handleRowAction(detail.id, item)}
+                                                                items={[
+                                                                    ...(!item.isFolder && getPreviewKind(item.displayName)
+                                                                        ? [{ id: 'preview', text: 'Preview', iconName: 'zoom-in' }]
+                                                                        : []),
+                                                                    ...(!item.isFolder ? [{ id: 'share', text: 'Share link', iconName: 'share' }] : []),
+                                                                    { id: 'rename', text: 'Rename' },
+                                                                    { id: 'move', text: 'Move' },
+                                                                    { id: 'copy', text: 'Copy to…' },
+                                                                    { id: 'delete', text: 'Delete' }
+                                                                ]}
+                                                            />
                                                         </SpaceBetween>
                                                     )
                                                 }
                                             ]}
                                             empty={
                                                 <Box textAlign="center" color="inherit">
-                                                    <b>No files</b>
+                                                    <b>{filterQuery.tokens.length ? 'No matches' : 'No files'}</b>
                                                     <Box padding={{ bottom: "s" }} variant="p" color="inherit">
-                                                        This folder is empty
+                                                        {filterQuery.tokens.length ? 'No objects match the filter' : 'This folder is empty'}
                                                     </Box>
+                                                    {filterQuery.tokens.length > 0 && (
+                                                        <Button onClick={() => setFilterQuery({ tokens: [], operation: 'and' })}>
+                                                            Clear filter
+                                                        </Button>
+                                                    )}
                                                 </Box>
                                             }
                                         />
@@ -1868,25 +6385,125 @@ const Content = () => {
                                             <SpaceBetween size="s">
                                                 <TokenGroup
                                                     onDismiss={({detail: {itemIndex}}) => handleDismiss(itemIndex)}
-                                                    items={uploadList}
+                                                    items={uploadList.map((item, i) => {
+                                                        if (uploadErrors[i]) {
+                                                            return { ...item, iconName: 'status-warning', description: `Won't be uploaded: ${uploadErrors[i]}` };
+                                                        }
+                                                        return fileOverrides[item.id]
+                                                            ? { ...item, description: `${item.description} · own metadata and tags` }
+                                                            : item;
+                                                    })}
                                                     alignment="vertical"
                                                     limit={10}
                                                 />
+                                                {uploadErrors.some(Boolean) && (
+                                                    <StatusIndicator type="warning">
+                                                        {`${uploadErrors.filter(Boolean).length} of ${uploadList.length} files break the upload rules and will be left out`}
+                                                    </StatusIndicator>
+                                                )}
+                                                <ExpandableSection headerText="Metadata and tags" variant="footer">
+                                                    <SpaceBetween size="m">
+                                                        <UploadOptionsForm options={uploadOptions} onChange={setUploadOptions} />
+                                                        <FormField
+                                                            label="Per-file overrides"
+                                                            description="Give one file its own metadata and tags instead of the ones above."
+                                                        >
+                                                            <Select
+                                                                selectedOption={overrideFileId
+                                                                    ? { value: overrideFileId, label: uploadList.find(item => item.id === overrideFileId)?.path }
+                                                                    : null}
+                                                                onChange={({ detail }) => setOverrideFileId(detail.selectedOption.value)}
+                                                                options={uploadList.map(item => ({
+                                                                    value: item.id,
+                                                                    label: item.path,
+                                                                    tags: fileOverrides[item.id] ? ['Overridden'] : undefined
+                                                                }))}
+                                                                placeholder="Choose a file"
+                                                                filteringType="auto"
+                                                            />
+                                                        </FormField>
+                                                        {overrideFileId && (fileOverrides[overrideFileId] ? (
+                                                            <SpaceBetween size="s">
+                                                                <UploadOptionsForm
+                                                                    options={fileOverrides[overrideFileId]}
+                                                                    onChange={options => setFileOverrides(prev => ({ ...prev, [overrideFileId]: options }))}
+                                                                />
+                                                                <Button
+                                                                    onClick={() => setFileOverrides(({ [overrideFileId]: removed, ...rest }) => rest)}
+                                                                >
+                                                                    Use batch metadata and tags
+                                                                </Button>
+                                                            </SpaceBetween>
+                                                        ) : (
+                                                            <Button
+                                                                onClick={() => setFileOverrides(prev => ({ ...prev, [overrideFileId]: uploadOptions }))}
+                                                            >
+                                                                Customize this file
+                                                            </Button>
+                                                        ))}
+                                                    </SpaceBetween>
+                                                </ExpandableSection>
                                                 <Button 
                                                     variant="primary" 
-                                                    onClick={handleUpload}
-                                                    disabled={isUploading}
+                                                    onClick={() => handleUpload()}
+                                                    loading={isCheckingConflicts}
                                                 >
-                                                    {isUploading ? 'Uploading...' : 'Upload Selected'}
+                                                    {isUploading ? 'Add to Queue' : 'Upload Selected'}
                                                 </Button>
                                             </SpaceBetween>
                                         )}
 
-                                        <UploadProgress historyList={historyList} />
-                                    </SpaceBetween>
+                                        <UploadQueuePanel
+                                            items={queueItems}
+                                            onMove={(id, offset) => uploadQueue.move(id, offset)}
+                                            onPriorityChange={(id, priority) => uploadQueue.setPriority(id, priority)}
+                                            onRemove={removeQueuedUpload}
+                                        />
+
+                                        <UploadProgress historyList={historyList} onCancel={cancelUpload} />
+
+                                        <SharedLinksPanel
+                                            links={sharedLinks}
+                                            onRemove={(id) => updateSharedLinks(links => links.filter(link => link.id !== id))}
+                                        />
+                                    </div>
                                 )}
                             </Container>
 
+                            <UploadConflictModal
+                                review={uploadReview}
+                                onChange={(changes) => setUploadReview(prev => ({ ...prev, ...changes }))}
+                                onConfirm={(plan) => startUploads(plan, uploadReview.files)}
+                                onDismiss={() => setUploadReview(null)}
+                            />
+                            <BulkActionModal
+                                action={bulkAction}
+                                onChange={(changes) => setBulkAction(prev => ({ ...prev, ...changes }))}
+                                onConfirm={runBulkAction}
+                                onDismiss={() => {
+                                    if (bulkAction.status === 'done') setSelectedItems([]);
+                                    setBulkAction(null);
+                                }}
+                            />
+
+                            {shareItem && (
+                                <ShareLinkModal
+                                    item={shareItem}
+                                    onCreate={(link) => updateSharedLinks(links => [link, ...links])}
+                                    onDismiss={() => setShareItem(null)}
+                                />
+                            )}
+
+                            {previewItem && (
+                                <PreviewModal item={previewItem} onDismiss={() => setPreviewItem(null)} />
+                            )}
+
+                            <ZipDownloadModal
+                                download={zipDownload}
+                                onCancel={() => zipDownload.controller.abort()}
+                                onDismiss={() => setZipDownload(null)}
+                            />
+
                             {showDeleteConfirmation && (
                                 <Modal
                                     visible={showDeleteConfirmation}
@@ -1936,22 +6553,42 @@ const Content = () => {
 };
 
 // Export ContentWithErrorBoundary instead of just Content
-export const ContentWithErrorBoundary = () => {
+export const ContentWithErrorBoundary = ({ user, onShowDetails }) => {
     return (
         <ErrorBoundary>
-            <Content />
+            <Content user={user} onShowDetails={onShowDetails} />
         </ErrorBoundary>
     );
 }
 /**
  * Main App Component
  */
+// Pages shown in place of the bucket browser, by route
+const PAGES = {
+    '/history': HistoryPage,
+    '/profile': ProfilePage,
+    '/preferences': PreferencesPage,
+    '/security': SecurityPage
+};
+
 function App() {
+    const location = useLocation();
+    const navigate = useNavigate();
+    const Page = PAGES[location.pathname];
     const [navigationOpen, setNavigationOpen] = useState(false);
     const [uploadStateManager] = useState(new UploadStateManager());
+    const [detailsItem, setDetailsItem] = useState(null);
+    const [splitPanelOpen, setSplitPanelOpen] = useState(false);
+
+    const showDetails = (item) => {
+        setDetailsItem(item);
+        setSplitPanelOpen(true);
+    };
 
     const navbarItemClick = e => {
-        if (e.detail.id === 'signout') {
+        if (PAGES[`/${e.detail.id}`]) {
+            navigate(`/${e.detail.id}`);
+        } else if (e.detail.id === 'signout') {
             Auth.signOut().then(() => {
                 window.location.reload();
             });
@@ -2015,7 +6652,18 @@ function App() {
                     </div>
 
                     <AppLayout
-                        content={<ContentWithErrorBoundary />}
+                        content={
+                            <>
+                                {Page && <Page user={user} />}
+                                {/* Kept mounted behind other pages so running uploads keep their progress */}
+                                <div hidden={Boolean(Page)}>
+                                    <ContentWithErrorBoundary user={user} onShowDetails={showDetails} />
+                                </div>
+                            </>
+                        }
+                        splitPanel={detailsItem && <ObjectDetailsPanel item={detailsItem} />}
+                        splitPanelOpen={splitPanelOpen}
+                        onSplitPanelToggle={({detail}) => setSplitPanelOpen(detail.open)}
                         headerSelector='#navbar'
                         navigation={<ServiceNavigation/>}
                         navigationOpen={navigationOpen}
@@ -2028,5 +6676,25 @@ function App() {
     );
 }
 
-// Only default export for App
+// App is the only component export; the helpers below are exported for unit tests
 export default App;
+
+export {
+    getBucketRoute,
+    parseBucketRoute,
+    parseSize,
+    filterItems,
+    loadPreferenceBounds,
+    clampPreferences,
+    toCsv,
+    getAttachmentDisposition,
+    loadUploadRules,
+    validateUploadFile,
+    validateUploadBatch,
+    resolveCopyConflicts,
+    planUploads,
+    getPartSize,
+    sha256Blob,
+    ConcurrencyLimiter,
+    UploadQueue
+};
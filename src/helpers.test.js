@@ -0,0 +1,533 @@
+// jsdom's Blob can't be read, so the hashing tests use Node's
+import {Blob} from 'buffer';
+import {createHash} from 'crypto';
+import awsconfig from './aws-exports';
+import {
+    getBucketRoute,
+    parseBucketRoute,
+    parseSize,
+    filterItems,
+    loadPreferenceBounds,
+    clampPreferences,
+    toCsv,
+    getAttachmentDisposition,
+    loadUploadRules,
+    validateUploadFile,
+    validateUploadBatch,
+    resolveCopyConflicts,
+    planUploads,
+    getPartSize,
+    sha256Blob,
+    UploadStateManager,
+    ConcurrencyLimiter,
+    UploadQueue,
+    MultipartUploadHandler
+} from './App';
+
+// The sign-in UI isn't under test, and its package pulls in modules jsdom can't load
+jest.mock('@aws-amplify/ui-react', () => ({ Authenticator: () => null }));
+
+const MB = 1024 * 1024;
+
+describe('getBucketRoute and parseBucketRoute', () => {
+    // Without REACT_APP_S3_BUCKETS the Amplify bucket is the only one configured
+    const bucketName = awsconfig.aws_user_files_s3_bucket;
+    const match = (bucket, rest) => ({ params: { bucket, '*': rest } });
+
+    test('encodes each path segment and leaves out the default level', () => {
+        expect(getBucketRoute(bucketName, 'reports/Q1 #2', 'protected'))
+            .toBe(`/b/${bucketName}/reports/Q1%20%232`);
+        expect(getBucketRoute(bucketName, '', 'private')).toBe(`/b/${bucketName}?level=private`);
+    });
+
+    test('reads a route back into the bucket, path and level', () => {
+        const route = parseBucketRoute(match(bucketName, 'reports/Q1%20%232'), '?level=public');
+        expect(route.bucket.name).toBe(bucketName);
+        expect(route.path).toBe('reports/Q1 #2');
+        expect(route.level).toBe('public');
+    });
+
+    test('falls back to protected for unknown levels and rejects unknown buckets', () => {
+        expect(parseBucketRoute(match(bucketName, ''), '?level=admin').level).toBe('protected');
+        expect(parseBucketRoute(match('someone-elses-bucket', ''), '')).toBeNull();
+        expect(parseBucketRoute(null, '')).toBeNull();
+    });
+});
+
+describe('parseSize', () => {
+    test('reads bytes and binary units, with or without a space', () => {
+        expect(parseSize('1024')).toBe(1024);
+        expect(parseSize('10MB')).toBe(10 * MB);
+        expect(parseSize('1.5 gb')).toBe(1.5 * 1024 * MB);
+        expect(parseSize(' 2 bytes ')).toBe(2);
+    });
+
+    test('returns NaN for anything else', () => {
+        expect(parseSize('ten MB')).toBeNaN();
+        expect(parseSize('10 PB')).toBeNaN();
+        expect(parseSize('')).toBeNaN();
+    });
+});
+
+describe('filterItems', () => {
+    // 23:30 local time is already the next day in UTC for zones west of Greenwich
+    const items = [
+        { displayName: 'photos', isFolder: true, size: 0 },
+        { displayName: 'Report.PDF', isFolder: false, size: 2 * MB, lastModified: new Date(2024, 4, 1, 23, 30) },
+        { displayName: 'notes.txt', isFolder: false, size: 100, lastModified: new Date(2024, 4, 2, 0, 15) }
+    ];
+    const names = (tokens, operation = 'and') =>
+        filterItems(items, { tokens, operation }).map(item => item.displayName);
+
+    test('matches names case-insensitively and extensions on files only', () => {
+        expect(names([{ operator: ':', value: 'REP' }])).toEqual(['Report.PDF']);
+        expect(names([{ propertyKey: 'extension', operator: '=', value: '.pdf' }])).toEqual(['Report.PDF']);
+        expect(names([{ propertyKey: 'extension', operator: '!=', value: 'pdf' }])).toEqual(['notes.txt']);
+    });
+
+    test('compares sizes in bytes and ignores sizes it cannot read', () => {
+        expect(names([{ propertyKey: 'size', operator: '>', value: '1 MB' }])).toEqual(['Report.PDF']);
+        expect(names([{ propertyKey: 'size', operator: '>', value: 'big' }])).toEqual([]);
+    });
+
+    test('compares whole local days for last modified', () => {
+        expect(names([{ propertyKey: 'lastModified', operator: '<=', value: '2024-05-01' }])).toEqual(['Report.PDF']);
+        expect(names([{ propertyKey: 'lastModified', operator: '>=', value: '2024-05-02' }])).toEqual(['notes.txt']);
+        expect(names([{ propertyKey: 'lastModified', operator: '>', value: '2024-05-01' }])).toEqual(['notes.txt']);
+    });
+
+    test('combines tokens with and / or', () => {
+        const tokens = [{ operator: ':', value: 'notes' }, { propertyKey: 'size', operator: '>', value: '1 MB' }];
+        expect(names(tokens)).toEqual([]);
+        expect(names(tokens, 'or')).toEqual(['Report.PDF', 'notes.txt']);
+        expect(names([])).toHaveLength(3);
+    });
+});
+
+describe('loadPreferenceBounds and clampPreferences', () => {
+    const defaults = loadPreferenceBounds('');
+
+    beforeEach(() => jest.spyOn(console, 'error').mockImplementation(() => {}));
+    afterEach(() => jest.restoreAllMocks());
+
+    test('fills in a missing min or max from the defaults', () => {
+        const bounds = loadPreferenceBounds('{"concurrentUploads": {"max": 4}, "maxRetries": {"min": 2}}');
+        expect(bounds.concurrentUploads).toEqual({ min: defaults.concurrentUploads.min, max: 4 });
+        expect(bounds.maxRetries).toEqual({ min: 2, max: defaults.maxRetries.max });
+        expect(bounds.chunkSizeMB).toEqual(defaults.chunkSizeMB);
+    });
+
+    test.each([
+        ['a bound that is not a number', '{"maxRetries": {"max": "5"}}'],
+        ['a min above the max', '{"concurrentUploads": {"min": 8, "max": 4}}'],
+        ['JSON that does not parse', '{maxRetries: 1}']
+    ])('falls back to the defaults for %s', (_, config) => {
+        expect(loadPreferenceBounds(config)).toBe(defaults);
+        expect(console.error).toHaveBeenCalled();
+    });
+
+    test('rounds and clamps values, and keeps other settings', () => {
+        const bounds = loadPreferenceBounds('{"concurrentUploads": {"max": 4}}');
+        const clamped = clampPreferences({ concurrentUploads: 9.6, maxRetries: -1, chunkSizeMB: '64.4', dateFormat: 'iso' }, bounds);
+        expect(clamped).toMatchObject({ concurrentUploads: 4, maxRetries: 0, chunkSizeMB: 64, dateFormat: 'iso' });
+    });
+
+    test('replaces values that are not numbers with the defaults', () => {
+        const clamped = clampPreferences({ concurrentUploads: 'many' }, defaults);
+        expect(Number.isInteger(clamped.concurrentUploads)).toBe(true);
+    });
+});
+
+describe('toCsv', () => {
+    const row = fields => ({ finishedAt: '2024-01-31T14:05:00.000Z', status: 'success', key: 'a.txt', ...fields });
+    const cells = csv => csv.split('\r\n')[1].split(',');
+
+    test('starts with a header row and quotes every cell', () => {
+        const [header, line] = toCsv([row({ size: 10 })]).split('\r\n');
+        expect(header).toBe('finishedAt,status,bucket,level,key,fileName,size,durationSeconds,averageBytesPerSecond,checksum,verification,error');
+        expect(line).toBe('"2024-01-31T14:05:00.000Z","success","","","a.txt","","10","","","","",""');
+    });
+
+    test('doubles quotes inside cells', () => {
+        expect(cells(toCsv([row({ fileName: 'say "hi".txt' })]))[5]).toBe('"say ""hi"".txt"');
+    });
+
+    test.each(['=HYPERLINK("x")', '+1', '-2+3', '@SUM(A1)', '\t=1+2', '\r=1+2'])('prefixes %p so it is not read as a formula', value => {
+        const csv = toCsv([row({ fileName: value })]);
+        expect(cells(csv)[5].startsWith('"\'')).toBe(true);
+    });
+});
+
+describe('getAttachmentDisposition', () => {
+    test('keeps plain ASCII names as they are', () => {
+        expect(getAttachmentDisposition('report 2024.pdf'))
+            .toBe(`attachment; filename="report 2024.pdf"; filename*=UTF-8''report%202024.pdf`);
+    });
+
+    test('encodes UTF-8 names and gives an ASCII fallback without quotes', () => {
+        expect(getAttachmentDisposition('Übersicht "final" (1).txt')).toBe(
+            `attachment; filename="_bersicht _final_ (1).txt"; ` +
+            `filename*=UTF-8''%C3%9Cbersicht%20%22final%22%20%281%29.txt`
+        );
+    });
+});
+
+describe('loadUploadRules', () => {
+    const defaults = loadUploadRules('');
+
+    beforeEach(() => jest.spyOn(console, 'error').mockImplementation(() => {}));
+    afterEach(() => jest.restoreAllMocks());
+
+    test('lowercases configured extensions and drops the dot', () => {
+        const rules = loadUploadRules('{"allowedExtensions": [".PNG", "Jpg"], "blockedExtensions": ["EXE"]}');
+        expect(rules.allowedExtensions).toEqual(['png', 'jpg']);
+        expect(rules.blockedExtensions).toEqual(['exe']);
+    });
+
+    test('accepts sizes as byte counts or with units', () => {
+        const rules = loadUploadRules('{"maxFileSize": "2 GB", "sizeLimits": {"image/*": 1048576}, "maxFiles": 5}');
+        expect(rules.maxFileSize).toBe('2 GB');
+        expect(rules.maxFiles).toBe(5);
+        expect(console.error).not.toHaveBeenCalled();
+    });
+
+    test.each([
+        ['a size that does not parse', '{"maxFileSize": "lots"}'],
+        ['a per-type limit that does not parse', '{"sizeLimits": {"mp4": "10 XB"}}'],
+        ['a size of zero', '{"maxFileSize": 0}'],
+        ['a batch limit that is not a whole number', '{"maxFiles": "50"}'],
+        ['a pattern that does not compile', '{"allowedNamePattern": "("}'],
+        ['JSON that does not parse', '{maxFiles: 5}']
+    ])('falls back to the defaults for %s', (_, config) => {
+        expect(loadUploadRules(config)).toBe(defaults);
+        expect(console.error).toHaveBeenCalled();
+    });
+});
+
+describe('validateUploadFile and validateUploadBatch', () => {
+    const rules = {
+        ...loadUploadRules(''),
+        allowedExtensions: ['png', 'jpg', 'mp4'],
+        sizeLimits: { 'image/*': '1 MB', mp4: 2 * MB },
+        maxFileSize: '1 GB',
+        maxFiles: 2
+    };
+    const file = (size, type = '') => ({ size, type });
+
+    test('accepts a file that meets every rule', () => {
+        expect(validateUploadFile(file(10, 'image/png'), 'photos/a.png', rules)).toBeNull();
+    });
+
+    test('checks blocked names, extensions and MIME types', () => {
+        expect(validateUploadFile(file(10), 'photos/.DS_Store', rules)).toMatch(/blocked file names/);
+        expect(validateUploadFile(file(10), 'notes.txt', rules)).toBe('.txt files aren\'t allowed');
+        expect(validateUploadFile(file(10), 'README', rules)).toBe('Files without an extension aren\'t allowed');
+        expect(validateUploadFile(file(10, 'image/png'), 'setup.PNG', { ...rules, blockedMimeTypes: ['image/*'] }))
+            .toBe('image/png files aren\'t allowed');
+    });
+
+    test('applies the limit for the file\'s type or extension when it is lower', () => {
+        expect(validateUploadFile(file(MB + 1, 'image/jpeg'), 'a.jpg', rules)).toMatch(/limit for image\/\*/);
+        expect(validateUploadFile(file(3 * MB), 'clip.mp4', rules)).toMatch(/limit for mp4/);
+        expect(validateUploadFile(file(3 * MB), 'clip.mp4', { ...rules, sizeLimits: {} })).toBeNull();
+    });
+
+    test('flags accepted files past the batch limit but not the ones already rejected', () => {
+        const files = [file(10), file(10), file(10), file(10)];
+        expect(validateUploadBatch(files, ['a.png', 'b.exe', 'c.png', 'd.png'], rules)).toEqual([
+            null,
+            '.exe files aren\'t allowed',
+            null,
+            'Over the limit of 2 files per upload'
+        ]);
+    });
+});
+
+describe('resolveCopyConflicts', () => {
+    // A file and a folder with two objects, copied into "dest"
+    const step = (key, itemPath, isFolderItem = false) => ({
+        object: { key, itemPath, isFolderItem },
+        destinationKey: `dest/${key.replace(/^src\//, '')}`
+    });
+    const plan = [
+        step('src/report.csv', 'report.csv'),
+        step('src/data/a.txt', 'data', true),
+        step('src/data/b.txt', 'data', true)
+    ];
+    const existingKeys = new Set(['dest/report.csv', 'dest/data/a.txt', 'dest/report (1).csv']);
+
+    test('overwrite keeps the plan as it is', () => {
+        expect(resolveCopyConflicts(plan, 'dest', 'overwrite', existingKeys)).toBe(plan);
+    });
+
+    test('skip leaves out each object that already exists', () => {
+        const skipped = resolveCopyConflicts(plan, 'dest', 'skip', existingKeys).map(({ skip }) => Boolean(skip));
+        expect(skipped).toEqual([true, true, false]);
+    });
+
+    test('keep both renames a conflicting file or folder to the first free suffix, as a whole', () => {
+        const keys = resolveCopyConflicts(plan, 'dest', 'rename', existingKeys).map(({ destinationKey }) => destinationKey);
+        expect(keys).toEqual(['dest/report (2).csv', 'dest/data (1)/a.txt', 'dest/data (1)/b.txt']);
+    });
+});
+
+describe('planUploads', () => {
+    const at = date => new Date(date).getTime();
+    const file = (id, key, size, lastModified) => ({ id, key, file: { size, lastModified: at(lastModified) } });
+    const files = [
+        file('a', 'docs/new.txt', 10, '2024-01-01'),
+        file('b', 'docs/report.csv', 20, '2024-03-01'),
+        file('c', 'docs/same.txt', 30, '2024-01-01')
+    ];
+    const existing = new Map([
+        ['docs/report.csv', { key: 'docs/report.csv', size: 20, lastModified: new Date('2024-02-01') }],
+        ['docs/report (1).csv', { key: 'docs/report (1).csv', size: 5, lastModified: new Date('2024-02-01') }],
+        ['docs/same.txt', { key: 'docs/same.txt', size: 30, lastModified: new Date('2024-02-01') }]
+    ]);
+    const outcomes = plan => plan.map(({ outcome }) => outcome);
+
+    test('new names upload whatever the policy', () => {
+        expect(planUploads(files, new Map(), 'skip').map(({ key, outcome }) => [key, outcome])).toEqual([
+            ['docs/new.txt', 'upload'],
+            ['docs/report.csv', 'upload'],
+            ['docs/same.txt', 'upload']
+        ]);
+    });
+
+    test('skip and overwrite apply to existing names only', () => {
+        expect(outcomes(planUploads(files, existing, 'skip'))).toEqual(['upload', 'skip', 'skip']);
+        expect(outcomes(planUploads(files, existing, 'overwrite'))).toEqual(['upload', 'overwrite', 'overwrite']);
+    });
+
+    test('keep both takes the first suffix not used in the bucket or the batch', () => {
+        const batch = [...files, file('d', 'docs/same (1).txt', 1, '2024-01-01')];
+        const keys = planUploads(batch, existing, 'rename').map(({ key }) => key);
+        expect(keys).toEqual(['docs/new.txt', 'docs/report (2).csv', 'docs/same (2).txt', 'docs/same (1).txt']);
+    });
+
+    test('overwrite if changed compares size and modification time', () => {
+        const older = file('e', 'docs/report.csv', 20, '2024-01-15');
+        const resized = file('f', 'docs/same.txt', 31, '2024-01-01');
+        expect(outcomes(planUploads([...files, older, resized], existing, 'changed')))
+            .toEqual(['upload', 'overwrite', 'skip', 'skip', 'overwrite']);
+    });
+
+    test('a per-file override wins over the batch policy', () => {
+        expect(outcomes(planUploads(files, existing, 'skip', { c: 'overwrite' }))).toEqual(['upload', 'skip', 'overwrite']);
+    });
+});
+
+describe('getPartSize', () => {
+    test('uses the configured chunk size for files that fit in 10,000 parts', () => {
+        expect(getPartSize(0)).toBe(512 * MB);
+        expect(getPartSize(10 * 1024 * MB)).toBe(512 * MB);
+    });
+
+    test('grows parts so very large files stay within the S3 part limit', () => {
+        const size = 5 * 1024 * 1024 * MB; // 5 TB
+        const partSize = getPartSize(size);
+        expect(partSize).toBeGreaterThan(512 * MB);
+        expect(Math.ceil(size / partSize)).toBeLessThanOrEqual(10000);
+    });
+});
+
+describe('sha256Blob', () => {
+    const sha256 = data => createHash('sha256').update(data).digest('base64');
+
+    test('hashes a blob larger than one read slice', async () => {
+        const bytes = Buffer.alloc(9 * MB, 'ab');
+        await expect(sha256Blob(new Blob([bytes]))).resolves.toBe(sha256(bytes));
+    });
+
+    test('gives an empty blob the empty digest', async () => {
+        await expect(sha256Blob(new Blob([]))).resolves.toBe(sha256(''));
+    });
+});
+
+describe('UploadStateManager', () => {
+    const HOUR = 60 * 60 * 1000;
+    const save = (id, state) => localStorage.setItem(`upload-${id}`, JSON.stringify({ uploadId: id, path: `${id}.bin`, ...state }));
+
+    beforeEach(() => {
+        localStorage.clear();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+    afterEach(() => jest.restoreAllMocks());
+
+    test('removes saved state not written for longer than the stale threshold', async () => {
+        const now = Date.now();
+        save('idle', { startTime: now - 100 * HOUR, lastUpdated: now - 50 * HOUR });
+        save('active', { startTime: now - 100 * HOUR, lastUpdated: now - HOUR });
+        save('legacy', { startTime: now - 50 * HOUR });
+        save('failed', { failed: true, lastUpdated: now - 50 * HOUR });
+
+        const manager = new UploadStateManager();
+        await manager.performCleanup();
+
+        expect(manager.getAllUploadStates().map(({ key }) => key)).toEqual(['upload-active']);
+    });
+
+    test('lists a failed upload as resumable while its handler stays registered', () => {
+        save('failed', { s3UploadId: 'mpu-1', failed: true });
+        save('running', { s3UploadId: 'mpu-2' });
+        save('waiting', { s3UploadId: 'mpu-3' });
+
+        const manager = new UploadStateManager();
+        manager.registerUpload('failed', {});
+        manager.registerUpload('running', {});
+
+        expect(manager.getResumableUploads().map(({ uploadId }) => uploadId).sort()).toEqual(['failed', 'waiting']);
+    });
+});
+
+describe('ConcurrencyLimiter', () => {
+    test('grants slots up to the limit and hands freed slots to waiters in order', async () => {
+        const limiter = new ConcurrencyLimiter(2);
+        const order = [];
+        const releaseA = await limiter.acquire();
+        await limiter.acquire();
+        const waiting = [limiter.acquire().then(release => order.push('c') && release),
+            limiter.acquire().then(release => order.push('d') && release)];
+
+        expect(limiter.active).toBe(2);
+        releaseA();
+        releaseA(); // Releasing twice frees only one slot
+        await waiting[0];
+        expect(order).toEqual(['c']);
+        expect(limiter.active).toBe(2);
+        expect(limiter.waiting).toHaveLength(1);
+    });
+});
+
+describe('UploadQueue', () => {
+    const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+    // Tasks that finish only when the test says so
+    const createQueue = (concurrency) => {
+        const pending = new Map();
+        const started = [];
+        const queue = new UploadQueue(entry => new Promise(resolve => {
+            started.push(entry.id);
+            pending.set(entry.id, resolve);
+        }), concurrency);
+        return { queue, started, finish: id => pending.get(id)() };
+    };
+
+    test('runs high priority items first, within the concurrency limit', async () => {
+        const { queue, started, finish } = createQueue(1);
+        queue.enqueue([{ id: 'a' }, { id: 'b' }, { id: 'c' }]);
+        queue.setPriority('c', 'high');
+        await tick();
+        expect(started).toEqual(['a']);
+        expect(queue.getItems().map(item => item.status)).toEqual(['running', 'queued', 'queued']);
+
+        finish('a');
+        await tick();
+        expect(started).toEqual(['a', 'c']);
+    });
+
+    test('ignores priority changes and removal for running items', () => {
+        const { queue } = createQueue(1);
+        queue.enqueue([{ id: 'a' }, { id: 'b' }]);
+        queue.setPriority('a', 'low');
+        expect(queue.getItems()[0].priority).toBe('normal');
+        expect(queue.remove('a')).toBeNull();
+        expect(queue.remove('b')).toMatchObject({ id: 'b' });
+        expect(queue.getItems().map(item => item.id)).toEqual(['a']);
+    });
+
+    test('starts the next item when one finishes and resolves onIdle at the end', async () => {
+        const { queue, started, finish } = createQueue(1);
+        queue.enqueue([{ id: 'a' }, { id: 'b' }]);
+        const idle = queue.onIdle();
+        await tick();
+        finish('a');
+        await tick();
+        expect(started).toEqual(['a', 'b']);
+        finish('b');
+        await idle;
+        expect(queue.isBusy()).toBe(false);
+    });
+});
+
+describe('MultipartUploadHandler', () => {
+    beforeEach(() => {
+        localStorage.clear();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+    afterEach(() => jest.restoreAllMocks());
+
+    // Three 10-byte parts of an upload S3 has already created; part 2 fails on its first attempt
+    const createHandler = () => {
+        const manager = new UploadStateManager();
+        const handler = new MultipartUploadHandler(new Blob(['x'.repeat(30)]), 'big.bin', manager, undefined, {
+            bucket: 'bucket',
+            region: 'us-east-1'
+        });
+        handler.partSize = 10;
+        handler.numParts = 3;
+        handler.singlePut = false;
+        handler.initializePartTracking();
+        handler.s3UploadId = 'mpu-1';
+        handler.key = 'protected/big.bin';
+        handler.syncUploadedParts = jest.fn();
+        handler.completeUpload = jest.fn().mockResolvedValue('verified');
+
+        const attempts = [];
+        handler.uploadPart = jest.fn(async (chunk, partNumber) => {
+            attempts.push(partNumber);
+            await Promise.resolve();
+            if (partNumber === 2 && attempts.filter(n => n === 2).length === 1) {
+                handler.updatePartProgress(2, 0, 'error', 'Network error');
+                throw new Error('Failed to upload part 2');
+            }
+            handler.updatePartProgress(partNumber, 100, 'completed');
+            return { PartNumber: partNumber, ETag: `"etag-${partNumber}"` };
+        });
+        return { manager, handler, attempts };
+    };
+
+    test('retrying a failed upload sends the missing parts and completes it', async () => {
+        const { manager, handler, attempts } = createHandler();
+
+        await expect(handler.start()).rejects.toThrow('Failed to upload part 2');
+        expect(manager.getUploadState(handler.uploadId).failed).toBe(true);
+        expect(handler.parts.find(part => part.partNumber === 2).status).toBe('error');
+        expect(handler.completeUpload).not.toHaveBeenCalled();
+
+        await expect(handler.retryFailedParts()).resolves.toBe(true);
+        expect(handler.uploadedParts.map(part => part.PartNumber)).toEqual([1, 2, 3]);
+        expect(attempts.filter(n => n === 1)).toHaveLength(1);
+        expect(handler.parts.every(part => part.completed)).toBe(true);
+        expect(handler.completeUpload).toHaveBeenCalledTimes(1);
+        expect(manager.getUploadState(handler.uploadId).failed).toBe(false);
+    });
+
+    test('hashes each part when it is first sent and keeps the digest for retries', async () => {
+        const { handler } = createHandler();
+        const sha256 = text => createHash('sha256').update(text).digest('base64');
+        await expect(handler.hashPart(2, new Blob(['second part']))).resolves.toBe(sha256('second part'));
+        await expect(handler.hashPart(2, new Blob(['changed']))).resolves.toBe(sha256('second part'));
+        expect(handler.partChecksums).toEqual([undefined, sha256('second part')]);
+    });
+
+    test('takes the digests S3 stored for parts sent earlier and sends parts without one again', () => {
+        const { handler } = createHandler();
+        handler.applyUploadedParts([
+            { PartNumber: 3, ETag: '"c"', ChecksumSHA256: 'digest-3' },
+            { PartNumber: 1, ETag: '"a"', ChecksumSHA256: 'digest-1' },
+            { PartNumber: 2, ETag: '"b"' }
+        ]);
+        expect(handler.uploadedParts.map(part => part.PartNumber)).toEqual([1, 3]);
+        expect(handler.partChecksums).toEqual(['digest-1', undefined, 'digest-3']);
+        expect(handler.parts.map(part => part.completed)).toEqual([true, false, true]);
+        expect(handler.resumedBytes).toBe(20);
+    });
+
+    test('does nothing for an upload that has not failed', async () => {
+        const { handler, attempts } = createHandler();
+        await expect(handler.retryFailedParts()).resolves.toBe(false);
+        expect(attempts).toEqual([]);
+    });
+});
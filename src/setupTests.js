@@ -0,0 +1,5 @@
+import { TextDecoder, TextEncoder } from 'util';
+
+// jsdom leaves these out, and the AWS SDK needs them when it loads
+global.TextDecoder = TextDecoder;
+global.TextEncoder = TextEncoder;